@@ -30,6 +30,27 @@ export default defineConfig({
     [path.join(__dirname, 'reporters', 'jira-reporter.js'), {
       syncImmediately: true, // Sync each test result immediately
       autoHeal: true, // Enable automatic test healing
+      // testIds: { // Where test case IDs come from (defaults shown)
+      //   sources: ['annotation', 'tag', 'title'], // also 'describe'
+      //   idPattern: 'VAL-\\d+',
+      //   annotationType: 'jira', // test('...', { annotation: { type: 'jira', description: 'VAL-12' } }, ...)
+      // },
+      // attachments: { // Upload screenshots/traces/videos of failed tests
+      //   maxFileSize: 10 * 1024 * 1024,
+      //   allowedContentTypes: ['image/png', 'image/jpeg', 'video/webm', 'application/zip', 'text/plain'],
+      // },
+      // healingConfig: './healing-config.js', // Defaults to scripts/healing-config.js
+      // healing: { autoHeal: { maxRetries: 1 } }, // Overrides on top of the healing config
+      // history: { file: './test-history.json', window: 10, flakyThreshold: 0.3 }, // Cross-run flakiness
+      // bugs: { enabled: true, closeAfterPasses: 5 }, // File a deduplicated Bug per distinct failure
+      // ci: { fixVersion: '1.4.0', fields: { commit: 'customfield_10080' } }, // Run context on the execution issue
+      // transitions: { map: { passed: 'Passing', failed: 'Failing', skipped: 'Blocked' }, rule: 'worst' }, // Workflow status per outcome
+      // backends: ['task', 'xray'], // Execution report: Jira Task, Xray import and/or Zephyr Scale cycle
+      // xray: { post: true, testPlanKey: 'VAL-100' }, // Xray Cloud needs XRAY_CLIENT_ID / XRAY_CLIENT_SECRET
+      // zephyr: { post: true, testCaseKeys: { 'VAL-001': 'VAL-T1' } }, // needs ZEPHYR_API_TOKEN
+      // outbox: { dir: './jira-outbox', offline: false }, // Spool Jira writes when Jira is unreachable
+      // shards: { dir: './shard-results', mergeOnLastShard: true }, // One execution for a --shard run
+      // jira: { maxRetries: 3, retryDelay: 1000, logLevel: 'warn' }, // Retries on 429/5xx and request logs
       // syncImmediately: false, // Or batch sync at the end
       // autoHeal: false, // Disable auto-healing
     }]
@@ -0,0 +1,116 @@
+// reporters/attachment-uploader.js
+// Uploads Playwright attachments (screenshots, traces, videos) of failed tests to Jira issues
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const adf = require('../scripts/adf');
+
+const DEFAULT_CONTENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'video/webm',
+  'application/zip', // traces
+  'text/plain'
+];
+
+class AttachmentUploader {
+  /**
+   * @param {object} jiraConfig - axios config with baseURL and auth headers
+   * @param {object} options - the reporter's `attachments` option
+   * @param {boolean} [options.enabled] - default true
+   * @param {number} [options.maxFileSize] - bytes per file, default 10 MB
+   * @param {string[]} [options.allowedContentTypes] - content types that may be uploaded
+   */
+  constructor(jiraConfig, options = {}) {
+    this.jiraConfig = jiraConfig;
+    this.enabled = options.enabled !== false;
+    this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024;
+    this.allowedContentTypes = options.allowedContentTypes || DEFAULT_CONTENT_TYPES;
+  }
+
+  // Picks the attachments of a test result that may be uploaded
+  select(attachments = []) {
+    if (!this.enabled) return [];
+
+    return attachments.filter(attachment => {
+      if (!attachment.path && !attachment.body) return false;
+
+      if (!this.allowedContentTypes.includes(attachment.contentType)) {
+        console.log(`Skipping attachment ${attachment.name}: content type ${attachment.contentType} not allowed`);
+        return false;
+      }
+
+      const size = attachment.body ? attachment.body.length : this.fileSize(attachment.path);
+      if (size === null) {
+        console.log(`Skipping attachment ${attachment.name}: file not found at ${attachment.path}`);
+        return false;
+      }
+      if (size > this.maxFileSize) {
+        console.log(`Skipping attachment ${attachment.name}: ${size} bytes exceeds limit of ${this.maxFileSize}`);
+        return false;
+      }
+      return true;
+    }).map(attachment => ({
+      name: attachment.name,
+      contentType: attachment.contentType,
+      path: attachment.path,
+      body: attachment.body
+    }));
+  }
+
+  fileSize(filePath) {
+    try {
+      return fs.statSync(filePath).size;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Uploads the files to one issue; returns the Jira attachment records ({ id, filename, content, size })
+  async upload(issueKey, attachments, prefix) {
+    const uploaded = [];
+
+    for (const attachment of attachments) {
+      try {
+        const data = attachment.body || fs.readFileSync(attachment.path);
+        const fileName = this.fileName(attachment, prefix);
+
+        const form = new FormData();
+        form.append('file', new Blob([data], { type: attachment.contentType }), fileName);
+
+        const response = await axios.post(
+          `/rest/api/3/issue/${issueKey}/attachments`,
+          form,
+          {
+            ...this.jiraConfig,
+            headers: {
+              ...this.jiraConfig.headers,
+              'Content-Type': 'multipart/form-data',
+              'X-Atlassian-Token': 'no-check'
+            }
+          }
+        );
+
+        console.log(`Uploaded ${fileName} to ${issueKey}`);
+        uploaded.push(...response.data);
+      } catch (error) {
+        console.error(`Error uploading ${attachment.name} to ${issueKey}:`, error.response?.data || error.message);
+      }
+    }
+
+    return uploaded;
+  }
+
+  // e.g. "VAL-001-chromium-screenshot.png"; Playwright names every screenshot "test-failed-1.png"
+  fileName(attachment, prefix) {
+    const base = attachment.path ? path.basename(attachment.path) : attachment.name;
+    return [prefix, base].filter(Boolean).join('-').replace(/[^\w.-]+/g, '_');
+  }
+
+  // One paragraph per attachment: "<label>: <filename>" with the filename linking to the file in Jira
+  summaryParagraphs(label, uploaded) {
+    return uploaded.map(attachment => adf.paragraph(`${label}: `, adf.link(attachment.filename, attachment.content)));
+  }
+}
+
+module.exports = AttachmentUploader;
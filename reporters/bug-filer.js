@@ -0,0 +1,232 @@
+// reporters/bug-filer.js
+// Files one Jira Bug per distinct failure. Failures are deduplicated by error fingerprint: a recurring
+// fingerprint gets a comment on its bug (reopening it when closed) instead of a new bug.
+const axios = require('axios');
+const adf = require('../scripts/adf');
+const { fingerprintError } = require('./error-fingerprint');
+
+// Issue property on every filed bug: { fingerprint, testIds }
+const BUG_PROPERTY = 'playwright.bug';
+const BUG_LABEL = 'playwright-bug';
+
+class BugFiler {
+  /**
+   * @param {object} jiraConfig - axios config with baseURL and auth headers
+   * @param {string} projectKey
+   * @param {TestCaseLookup} testCaseLookup - finds the test case issues to link
+   * @param {RunHistory} runHistory - needed for closeAfterPasses
+   * @param {object} options - the reporter's `bugs` option
+   * @param {boolean} [options.enabled] - default false
+   * @param {string} [options.issueType] - default 'Bug'
+   * @param {string[]} [options.labels] - extra labels for new bugs
+   * @param {string} [options.linkType] - link between bug and test case, default 'Relates'
+   * @param {string} [options.reopenTransition] - transition name; default is the first one leaving 'Done'
+   * @param {string} [options.closeTransition] - transition name; default is the first one into 'Done'
+   * @param {number} [options.closeAfterPasses] - close a bug after its tests passed this many runs in a row, 0 = never
+   */
+  constructor(jiraConfig, projectKey, testCaseLookup, runHistory, options = {}) {
+    this.jiraConfig = jiraConfig;
+    this.projectKey = projectKey;
+    this.testCaseLookup = testCaseLookup;
+    this.runHistory = runHistory;
+    this.enabled = options.enabled === true;
+    this.issueType = options.issueType || 'Bug';
+    this.labels = options.labels || [];
+    this.linkType = options.linkType || 'Relates';
+    this.reopenTransition = options.reopenTransition;
+    this.closeTransition = options.closeTransition;
+    this.closeAfterPasses = options.closeAfterPasses || 0;
+  }
+
+  fingerprintLabel(fingerprint) {
+    return `pw-fp-${fingerprint}`;
+  }
+
+  // Files or updates one bug per fingerprint; returns [{ fingerprint, key, action }]
+  async fileFailures(failures) {
+    const groups = new Map();
+    failures.forEach(t => {
+      const fingerprint = fingerprintError(t);
+      if (!fingerprint) return;
+      if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+      groups.get(fingerprint).push(t);
+    });
+
+    const filed = [];
+    for (const [fingerprint, tests] of groups) {
+      try {
+        const existing = await this.findBug(fingerprint);
+        let action;
+        let key;
+
+        if (!existing) {
+          key = await this.createBug(fingerprint, tests);
+          action = 'created';
+        } else {
+          key = existing.key;
+          action = existing.fields.status?.statusCategory?.key === 'done' ? 'reopened' : 'commented';
+          if (action === 'reopened') {
+            await this.transition(key, this.reopenTransition, t => t.to?.statusCategory?.key !== 'done');
+          }
+          await this.commentRecurrence(key, tests, action === 'reopened');
+          await this.linkNewTestCases(existing, fingerprint, tests);
+        }
+
+        console.log(`Bug ${key} ${action} for failure ${fingerprint} (${this.testIdsOf(tests).join(', ')})`);
+        filed.push({ fingerprint, key, action });
+      } catch (error) {
+        console.error(`Error filing bug for failure ${fingerprint}:`, error.response?.data || error.message);
+      }
+    }
+
+    return filed;
+  }
+
+  testIdsOf(tests) {
+    return [...new Set(tests.map(t => t.testId))];
+  }
+
+  async findBug(fingerprint) {
+    const jql = `project = "${this.projectKey}" AND labels = "${this.fingerprintLabel(fingerprint)}" ORDER BY created DESC`;
+    const issues = await this.testCaseLookup.searchAll(jql, { fields: 'status,labels', properties: BUG_PROPERTY });
+    return issues[0] || null;
+  }
+
+  async createBug(fingerprint, tests) {
+    const first = tests[0];
+    const title = adf.clean(first.error).split('\n').map(l => l.trim()).find(Boolean) || 'Unknown error';
+
+    const response = await axios.post('/rest/api/3/issue', {
+      fields: {
+        project: { key: this.projectKey },
+        summary: `Playwright failure: ${title}`.substring(0, 250),
+        description: adf.doc(
+          adf.heading(2, 'Automated Test Failure'),
+          adf.field('Fingerprint', fingerprint),
+          adf.field('First Seen', new Date().toISOString()),
+          this.testsTable(tests),
+          adf.heading(3, 'Error'),
+          adf.codeBlock(first.stack || first.error)
+        ),
+        issuetype: { name: this.issueType },
+        labels: ['playwright', BUG_LABEL, this.fingerprintLabel(fingerprint), ...this.labels]
+      }
+    }, this.jiraConfig);
+
+    const key = response.data.key;
+    const testIds = this.testIdsOf(tests);
+    await this.setBugProperty(key, fingerprint, testIds);
+    await this.linkTestCases(key, testIds);
+    return key;
+  }
+
+  testsTable(tests) {
+    return adf.table(
+      ['Test ID', 'Title', 'Project'],
+      tests.map(t => [t.testId, t.title, t.project])
+    );
+  }
+
+  async commentRecurrence(key, tests, reopened) {
+    const body = adf.doc(
+      adf.paragraph(
+        adf.strong(reopened ? 'Failure recurred - bug reopened' : 'Failure recurred'),
+        ` on ${new Date().toISOString()}`
+      ),
+      this.testsTable(tests),
+      adf.expand('Error', adf.codeBlock(tests[0].stack || tests[0].error))
+    );
+    await axios.post(`/rest/api/3/issue/${key}/comment`, { body }, this.jiraConfig);
+  }
+
+  async setBugProperty(key, fingerprint, testIds) {
+    await axios.put(
+      `/rest/api/3/issue/${key}/properties/${BUG_PROPERTY}`,
+      { fingerprint, testIds },
+      this.jiraConfig
+    );
+  }
+
+  // Test IDs that started failing the same way since the bug was filed are linked too
+  async linkNewTestCases(bug, fingerprint, tests) {
+    const known = bug.properties?.[BUG_PROPERTY]?.testIds || [];
+    const added = this.testIdsOf(tests).filter(id => !known.includes(id));
+    if (added.length === 0) return;
+
+    await this.setBugProperty(bug.key, fingerprint, [...known, ...added]);
+    await this.linkTestCases(bug.key, added);
+  }
+
+  async linkTestCases(bugKey, testIds) {
+    for (const testId of testIds) {
+      try {
+        const testCase = await this.testCaseLookup.findIssue(testId);
+        if (!testCase) continue;
+
+        await axios.post('/rest/api/3/issueLink', {
+          type: { name: this.linkType },
+          inwardIssue: { key: bugKey },
+          outwardIssue: { key: testCase.key }
+        }, this.jiraConfig);
+      } catch (error) {
+        console.error(`Error linking bug ${bugKey} to ${testId}:`, error.response?.data || error.message);
+      }
+    }
+  }
+
+  // Applies the named transition, or else the first one matching the predicate
+  async transition(key, name, predicate) {
+    const response = await axios.get(`/rest/api/3/issue/${key}/transitions`, this.jiraConfig);
+    const transitions = response.data.transitions || [];
+    const target = name
+      ? transitions.find(t => t.name.toLowerCase() === name.toLowerCase())
+      : transitions.find(predicate);
+
+    if (!target) {
+      throw new Error(`No ${name ? `'${name}' ` : ''}transition available on ${key}`);
+    }
+    await axios.post(`/rest/api/3/issue/${key}/transitions`, { transition: { id: target.id } }, this.jiraConfig);
+  }
+
+  // Closes open bugs whose test IDs have all passed closeAfterPasses runs in a row
+  async closeRecoveredBugs() {
+    if (!this.closeAfterPasses) return [];
+    if (!this.runHistory.enabled) {
+      console.warn('bugs.closeAfterPasses needs the run history, which is disabled - bugs are not closed');
+      return [];
+    }
+
+    const jql = `project = "${this.projectKey}" AND labels = "${BUG_LABEL}" AND statusCategory != Done`;
+    let bugs;
+    try {
+      bugs = await this.testCaseLookup.searchAll(jql, { fields: 'status', properties: BUG_PROPERTY });
+    } catch (error) {
+      console.error('Error searching open bugs to close:', error.response?.data || error.message);
+      return [];
+    }
+    const closed = [];
+
+    for (const bug of bugs) {
+      const testIds = bug.properties?.[BUG_PROPERTY]?.testIds || [];
+      if (testIds.length === 0) continue;
+      if (!testIds.every(id => this.runHistory.consecutivePasses(id) >= this.closeAfterPasses)) continue;
+
+      try {
+        await this.transition(bug.key, this.closeTransition, t => t.to?.statusCategory?.key === 'done');
+        await axios.post(`/rest/api/3/issue/${bug.key}/comment`, {
+          body: adf.doc(adf.paragraph(
+            `Closed automatically: ${testIds.join(', ')} passed ${this.closeAfterPasses} runs in a row.`
+          ))
+        }, this.jiraConfig);
+        console.log(`Closed bug ${bug.key}: ${testIds.join(', ')} passing again`);
+        closed.push(bug.key);
+      } catch (error) {
+        console.error(`Error closing bug ${bug.key}:`, error.response?.data || error.message);
+      }
+    }
+
+    return closed;
+  }
+}
+
+module.exports = BugFiler;
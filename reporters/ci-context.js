@@ -0,0 +1,185 @@
+// reporters/ci-context.js
+// Describes where a run happened: CI provider, pipeline link, commit and branch, browsers, OS and base URL.
+// GitHub Actions, GitLab CI and Jenkins are detected from their environment variables; JIRA_CI_* variables
+// (or the reporter's `ci` option) override any value, also outside CI.
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Issue property on the execution issue holding the collected context
+const EXECUTION_PROPERTY = 'playwright.execution';
+
+const PROVIDERS = {
+  github: {
+    name: 'GitHub Actions',
+    detect: env => env.GITHUB_ACTIONS === 'true',
+    read: env => {
+      const repository = `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}`;
+      return {
+        pipeline: env.GITHUB_WORKFLOW,
+        buildId: env.GITHUB_RUN_ID,
+        buildNumber: env.GITHUB_RUN_NUMBER,
+        buildUrl: env.GITHUB_RUN_ID && `${repository}/actions/runs/${env.GITHUB_RUN_ID}`,
+        // Pull request runs check out a merge ref; the head branch is what people recognise
+        branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+        commit: env.GITHUB_SHA,
+        commitUrl: env.GITHUB_SHA && `${repository}/commit/${env.GITHUB_SHA}`
+      };
+    }
+  },
+  gitlab: {
+    name: 'GitLab CI',
+    detect: env => env.GITLAB_CI === 'true',
+    read: env => ({
+      pipeline: env.CI_PIPELINE_NAME || env.CI_PROJECT_PATH,
+      buildId: env.CI_PIPELINE_ID,
+      buildNumber: env.CI_PIPELINE_IID,
+      buildUrl: env.CI_PIPELINE_URL,
+      branch: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME,
+      commit: env.CI_COMMIT_SHA,
+      commitUrl: env.CI_PROJECT_URL && env.CI_COMMIT_SHA && `${env.CI_PROJECT_URL}/-/commit/${env.CI_COMMIT_SHA}`
+    })
+  },
+  jenkins: {
+    name: 'Jenkins',
+    detect: env => Boolean(env.JENKINS_URL || env.JENKINS_HOME),
+    read: env => ({
+      pipeline: env.JOB_NAME,
+      buildId: env.BUILD_ID,
+      buildNumber: env.BUILD_NUMBER,
+      buildUrl: env.BUILD_URL,
+      // Multibranch pipelines set BRANCH_NAME; freestyle jobs only have GIT_BRANCH, e.g. 'origin/main'
+      branch: env.BRANCH_NAME || env.GIT_BRANCH?.replace(/^origin\//, ''),
+      commit: env.GIT_COMMIT
+    })
+  }
+};
+
+// The generic override: JIRA_CI_BUILD_URL=... wins over whatever was detected
+const OVERRIDES = {
+  provider: 'JIRA_CI_PROVIDER',
+  pipeline: 'JIRA_CI_PIPELINE',
+  buildId: 'JIRA_CI_BUILD_ID',
+  buildNumber: 'JIRA_CI_BUILD_NUMBER',
+  buildUrl: 'JIRA_CI_BUILD_URL',
+  branch: 'JIRA_CI_BRANCH',
+  commit: 'JIRA_CI_COMMIT',
+  commitUrl: 'JIRA_CI_COMMIT_URL'
+};
+
+class CiContext {
+  /**
+   * @param {object} options - the reporter's `ci` option
+   * @param {object} [options.values] - fixed values, same keys as the JIRA_CI_* variables (provider, buildUrl, branch, ...)
+   * @param {string} [options.fixVersion] - fixVersion of the execution issue, default JIRA_FIX_VERSION
+   * @param {object} [options.fields] - context key -> text custom field, e.g. { commit: 'customfield_10080' }
+   * @param {boolean} [options.labels] - add ci-<provider> and branch-<branch> labels, default true
+   * @param {object} [env] - environment variables, default process.env
+   */
+  constructor(options = {}, env = process.env) {
+    this.values = options.values || {};
+    this.fixVersion = options.fixVersion || env.JIRA_FIX_VERSION || null;
+    this.fields = options.fields || {};
+    this.labelsEnabled = options.labels !== false;
+    this.env = env;
+    this.context = null;
+  }
+
+  /**
+   * Collects the context once the Playwright config is known (onBegin).
+   * @returns {object} { provider, providerName, pipeline, buildId, buildNumber, buildUrl, branch, commit, commitUrl,
+   *   baseURL, os, node, playwright, browsers: [{ project, browser, channel, version }] }
+   */
+  collect(config) {
+    const detected = Object.entries(PROVIDERS).find(([, provider]) => provider.detect(this.env));
+    const context = detected ? { provider: detected[0], ...detected[1].read(this.env) } : { provider: 'local' };
+
+    Object.entries(OVERRIDES).forEach(([key, variable]) => {
+      const value = this.values[key] || this.env[variable];
+      if (value) context[key] = value;
+    });
+    context.providerName = PROVIDERS[context.provider]?.name || (context.provider === 'local' ? 'Local' : context.provider);
+
+    // Outside CI (or when CI does not say), ask git
+    context.commit = context.commit || this.git(['rev-parse', 'HEAD']);
+    const branch = context.branch || this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
+    context.branch = branch === 'HEAD' ? null : branch;
+
+    const projects = config?.projects || [];
+    context.baseURL = projects.map(p => p.use?.baseURL).find(Boolean) || this.env.BASE_URL || null;
+    context.browsers = this.browsers(projects);
+    context.os = `${os.type()} ${os.release()} (${os.arch()})`;
+    context.node = process.version;
+    context.playwright = config?.version || null;
+    context.fixVersion = this.fixVersion;
+
+    this.context = Object.fromEntries(Object.entries(context).filter(([, value]) => value !== undefined && value !== ''));
+    return this.context;
+  }
+
+  git(args) {
+    try {
+      return execFileSync('git', args, { encoding: 'utf8', timeout: 5000, stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Bundled browsers report the version Playwright ships; branded channels (chrome, msedge) use the installed one
+  browsers(projects) {
+    const bundled = this.bundledVersions();
+    return projects.map(project => {
+      const browser = project.use?.browserName || project.use?.defaultBrowserType || 'chromium';
+      const channel = project.use?.channel || null;
+      return {
+        project: project.name,
+        browser,
+        channel,
+        version: channel && !channel.startsWith('chromium') ? null : bundled[browser] || null
+      };
+    });
+  }
+
+  bundledVersions() {
+    try {
+      const browsersJson = path.join(path.dirname(require.resolve('playwright-core/package.json')), 'browsers.json');
+      const { browsers } = JSON.parse(fs.readFileSync(browsersJson, 'utf8'));
+      return Object.fromEntries(browsers.map(b => [b.name, b.browserVersion]));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // e.g. "Test Execution - 10/19/2026 - main@1a2b3c4 #128"
+  summary(date = new Date()) {
+    const { branch, commit, buildNumber } = this.context || {};
+    const source = [branch, commit?.substring(0, 7)].filter(Boolean).join('@');
+    return `Test Execution - ${date.toLocaleDateString()}${source ? ` - ${source}` : ''}${buildNumber ? ` #${buildNumber}` : ''}`;
+  }
+
+  labels() {
+    if (!this.labelsEnabled || !this.context) return [];
+    const label = value => value.trim().replace(/\s+/g, '-');
+    return [`ci-${label(this.context.provider)}`, this.context.branch && `branch-${label(this.context.branch)}`].filter(Boolean);
+  }
+
+  // Values for the mapped text custom fields
+  customFields() {
+    const fields = {};
+    Object.entries(this.fields).forEach(([key, field]) => {
+      const value = key === 'browsers' ? this.browserText() : this.context?.[key];
+      if (value) fields[field] = String(value);
+    });
+    return fields;
+  }
+
+  browserText() {
+    return (this.context?.browsers || [])
+      .map(b => `${b.project}: ${b.channel || b.browser}${b.version ? ` ${b.version}` : ''}`)
+      .join(', ');
+  }
+}
+
+module.exports = CiContext;
+module.exports.EXECUTION_PROPERTY = EXECUTION_PROPERTY;
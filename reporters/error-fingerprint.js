@@ -0,0 +1,46 @@
+// reporters/error-fingerprint.js
+// Stable identity for a test failure: the normalized error message plus the top stack frame in the spec,
+// so the same failure matches across runs, browsers and retries
+const crypto = require('crypto');
+const path = require('path');
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+// First line of the message with run-specific details (timings, ports, ids) replaced
+function normalizeErrorMessage(message = '') {
+  const firstLine = message.replace(ANSI_PATTERN, '').split('\n').map(l => l.trim()).find(Boolean) || '';
+  return firstLine
+    .replace(/https?:\/\/[^\s'"]+/g, '<url>')
+    .replace(/\b[0-9a-f]{8,}\b/gi, '<id>')
+    .replace(/\d+(\.\d+)?/g, 'N')
+    .replace(/\s+/g, ' ');
+}
+
+// "checkout.spec.ts:42" for the first stack frame inside the failing spec, or '' when there is none
+function topSpecFrame(stack = '', specFile) {
+  const specName = specFile ? path.basename(specFile) : null;
+  const frames = stack.replace(ANSI_PATTERN, '').split('\n').filter(line => /^\s*at /.test(line));
+  const frame = frames.find(line => (specName ? line.includes(specName) : /\.(spec|test)\.[cm]?[jt]sx?:/.test(line)));
+  const match = frame && /([^\s/\\(]+\.[cm]?[jt]sx?):(\d+)(?::\d+)?\)?\s*$/.exec(frame);
+  return match ? `${match[1]}:${match[2]}` : '';
+}
+
+/**
+ * @param {object} testData - a collected result ({ error, stack, file, errorLocation })
+ * @returns {string|null} 12-character hash, or null when the test has no error
+ */
+function fingerprintError(testData) {
+  if (!testData.error) return null;
+
+  const location = testData.errorLocation?.file === testData.file && testData.errorLocation?.line
+    ? `${path.basename(testData.file)}:${testData.errorLocation.line}`
+    : topSpecFrame(testData.stack, testData.file);
+
+  return crypto
+    .createHash('sha1')
+    .update(`${normalizeErrorMessage(testData.error)}|${location}`)
+    .digest('hex')
+    .substring(0, 12);
+}
+
+module.exports = { fingerprintError, normalizeErrorMessage, topSpecFrame };
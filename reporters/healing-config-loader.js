@@ -0,0 +1,177 @@
+// reporters/healing-config-loader.js
+// Loads scripts/healing-config.js (or a custom file), applies reporter options on top and validates the result
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'scripts', 'healing-config.js');
+
+// Leaf values name a type; arrays list the allowed values. 'deprecated' settings are optional and ignored.
+const SCHEMA = {
+  autoHeal: {
+    enabled: 'boolean',
+    maxRetries: 'positiveInteger',
+    debugTimeout: 'positiveInteger',
+    rerunTimeout: 'positiveInteger',
+    concurrency: 'positiveInteger',
+    timeBudget: 'nonNegativeInteger',
+    mode: ['apply', 'propose']
+  },
+  proposals: {
+    patchDir: 'string',
+    createBranch: 'boolean',
+    branchPrefix: 'string'
+  },
+  strategies: {
+    timeout: {
+      enabled: 'boolean',
+      defaultTimeout: 'positiveInteger',
+      navigationTimeout: 'positiveInteger',
+      fixes: 'deprecated'
+    },
+    selector: {
+      enabled: 'boolean',
+      addExactMatching: 'boolean',
+      addFirstSelector: 'boolean',
+      fixes: 'deprecated'
+    },
+    element_missing: {
+      enabled: 'boolean',
+      addWaitConditions: 'boolean',
+      fixes: 'deprecated'
+    },
+    navigation: {
+      enabled: 'boolean',
+      addNetworkIdle: 'boolean',
+      fixes: 'deprecated'
+    }
+  },
+  jira: {
+    createHealingIssues: 'boolean',
+    updateOriginalIssues: 'boolean',
+    healingLabels: 'stringArray',
+    healingPriority: 'string'
+  },
+  backup: {
+    enabled: 'boolean',
+    backupDir: 'string',
+    keepBackups: 'positiveInteger'
+  },
+  logging: {
+    verbose: 'boolean',
+    logFile: 'string',
+    logLevel: ['debug', 'info', 'warn', 'error']
+  }
+};
+
+const TYPE_CHECKS = {
+  boolean: value => typeof value === 'boolean',
+  string: value => typeof value === 'string' && value.length > 0,
+  positiveInteger: value => Number.isInteger(value) && value > 0,
+  nonNegativeInteger: value => Number.isInteger(value) && value >= 0,
+  stringArray: value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0)
+};
+
+const TYPE_NAMES = {
+  boolean: 'a boolean',
+  string: 'a non-empty string',
+  positiveInteger: 'a positive integer',
+  nonNegativeInteger: 'a non-negative integer',
+  stringArray: 'an array of non-empty strings'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and other values replace
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  const merged = { ...base };
+  Object.keys(override).forEach(key => {
+    merged[key] = deepMerge(base[key], override[key]);
+  });
+  return merged;
+}
+
+// Returns every problem found, e.g. "autoHeal.maxRetries must be a positive integer (got -1)"
+function validateHealingConfig(config, schema = SCHEMA, prefix = '') {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return [`${prefix || 'healing config'} must be an object`];
+  }
+
+  Object.keys(config).forEach(key => {
+    if (!(key in schema)) errors.push(`${prefix}${key} is not a known setting`);
+  });
+
+  Object.keys(schema).forEach(key => {
+    const rule = schema[key];
+    const value = config[key];
+    const name = `${prefix}${key}`;
+
+    if (rule === 'deprecated') {
+      return;
+    } else if (value === undefined) {
+      errors.push(`${name} is required`);
+    } else if (Array.isArray(rule)) {
+      if (!rule.includes(value)) {
+        errors.push(`${name} must be one of ${rule.join(', ')} (got ${JSON.stringify(value)})`);
+      }
+    } else if (isPlainObject(rule)) {
+      errors.push(...validateHealingConfig(value, rule, `${name}.`));
+    } else if (!TYPE_CHECKS[rule](value)) {
+      errors.push(`${name} must be ${TYPE_NAMES[rule]} (got ${JSON.stringify(value)})`);
+    }
+  });
+
+  return errors;
+}
+
+// Names of the deprecated settings the config still sets
+function deprecatedSettings(config, schema = SCHEMA, prefix = '') {
+  return Object.keys(schema).flatMap(key => {
+    if (!isPlainObject(config) || config[key] === undefined) return [];
+    if (schema[key] === 'deprecated') return [`${prefix}${key}`];
+    return isPlainObject(schema[key]) ? deprecatedSettings(config[key], schema[key], `${prefix}${key}.`) : [];
+  });
+}
+
+/**
+ * Builds the effective healing config: defaults from scripts/healing-config.js, then the file at
+ * `options.healingConfig` (relative to the working directory), then `options.healing`. The
+ * reporter's `autoHeal: false` option still turns healing off.
+ */
+function loadHealingConfig(options = {}) {
+  const defaults = require(DEFAULT_CONFIG_PATH);
+  let config = defaults;
+
+  if (options.healingConfig) {
+    const customPath = path.resolve(process.cwd(), options.healingConfig);
+    let custom;
+    try {
+      custom = require(customPath);
+    } catch (error) {
+      throw new Error(`Unable to load healing config from ${customPath}: ${error.message}`);
+    }
+    config = deepMerge(config, custom);
+  }
+
+  config = deepMerge(config, options.healing || {});
+  if (typeof options.autoHeal === 'boolean') {
+    config = deepMerge(config, { autoHeal: { enabled: options.autoHeal } });
+  }
+
+  const errors = validateHealingConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid healing config:\n  - ${errors.join('\n  - ')}`);
+  }
+  deprecatedSettings(config).forEach(name => {
+    console.warn(`Healing config: ${name} is deprecated and has no effect, remove it`);
+  });
+
+  return config;
+}
+
+module.exports = { loadHealingConfig, validateHealingConfig };
@@ -0,0 +1,62 @@
+// reporters/healing-logger.js
+// Leveled logging for auto-healing, driven by the `logging` section of healing-config.js
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+class HealingLogger {
+  /**
+   * @param {object} options
+   * @param {boolean} [options.verbose] - echo debug/info messages to the console; warnings and errors always are
+   * @param {string} [options.logFile] - file the messages are appended to
+   * @param {string} [options.logLevel] - lowest level written, default 'info'
+   */
+  constructor(options = {}) {
+    this.verbose = options.verbose !== false;
+    this.logFile = options.logFile ? path.resolve(options.logFile) : null;
+    this.threshold = LEVELS.indexOf(options.logLevel || 'info');
+
+    if (this.logFile) {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+    }
+  }
+
+  debug(message) {
+    this.write('debug', message);
+  }
+
+  info(message) {
+    this.write('info', message);
+  }
+
+  warn(message) {
+    this.write('warn', message);
+  }
+
+  error(message, error) {
+    this.write('error', error ? `${message} ${error.response?.data ? JSON.stringify(error.response.data) : error.message || error}` : message);
+  }
+
+  write(level, message) {
+    if (LEVELS.indexOf(level) < this.threshold) return;
+
+    if (level === 'error') {
+      console.error(message);
+    } else if (level === 'warn') {
+      console.warn(message);
+    } else if (this.verbose) {
+      console.log(message);
+    }
+
+    if (this.logFile) {
+      try {
+        fs.appendFileSync(this.logFile, `${new Date().toISOString()} [${level.toUpperCase()}] ${message}\n`, 'utf8');
+      } catch (error) {
+        console.error(`Unable to write healing log ${this.logFile}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = HealingLogger;
@@ -0,0 +1,113 @@
+// reporters/healing-proposals.js
+// "propose" healing mode: validated fixes are kept as unified diffs (and optionally a local git branch)
+// instead of staying in the working tree
+const { execFile } = require('child_process');
+const { createTwoFilesPatch } = require('diff');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+class HealingProposals {
+  /**
+   * @param {object} options - the `proposals` section of healing-config.js
+   * @param {string} options.patchDir - patches go to <patchDir>/<sessionId>/
+   * @param {boolean} options.createBranch - also commit the patches on a local branch
+   * @param {string} options.branchPrefix - branch name is <branchPrefix><sessionId>
+   * @param {string} sessionId - the healing session, shared with the backups
+   * @param {HealingLogger} logger
+   */
+  constructor(options, sessionId, logger) {
+    this.patchDir = path.resolve(options.patchDir, sessionId);
+    this.createBranchEnabled = options.createBranch;
+    this.branchName = `${options.branchPrefix}${sessionId}`;
+    this.sessionId = sessionId;
+    this.logger = logger;
+    this.patches = [];
+    this.branch = null;
+  }
+
+  // Writes the change a heal made to one spec; returns the patch path
+  async record(failedTest, originalContent, healedContent) {
+    const root = await this.repoRoot();
+    const relativeFile = path.relative(root, failedTest.file).split(path.sep).join('/');
+
+    // git-style a/ b/ paths so the patch applies with `git apply` from the repository root
+    const patch = createTwoFilesPatch(`a/${relativeFile}`, `b/${relativeFile}`, originalContent, healedContent)
+      .replace(/^=+\n/, `diff --git a/${relativeFile} b/${relativeFile}\n`);
+
+    fs.mkdirSync(this.patchDir, { recursive: true });
+    const patchPath = path.join(this.patchDir, `${failedTest.testId}-${failedTest.project}.patch`.replace(/[^\w.-]+/g, '_'));
+    fs.writeFileSync(patchPath, patch, 'utf8');
+
+    this.patches.push({ testId: failedTest.testId, project: failedTest.project, file: relativeFile, path: patchPath });
+    this.logger.info(`Proposed fix for ${failedTest.testId} written to ${patchPath}`);
+    return patchPath;
+  }
+
+  // Falls back to the working directory outside a git repository
+  async repoRoot() {
+    if (this.root === undefined) {
+      this.root = await git(['rev-parse', '--show-toplevel'], process.cwd()).catch(() => process.cwd());
+    }
+    return this.root;
+  }
+
+  // Commits every patch on <branchPrefix><sessionId>, starting from HEAD. A temporary worktree is
+  // used so the current checkout, including uncommitted changes, is never touched.
+  async createBranch() {
+    if (!this.createBranchEnabled || this.patches.length === 0) return null;
+
+    const root = await this.repoRoot();
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-heal-'));
+
+    try {
+      await git(['worktree', 'add', '-b', this.branchName, worktree, 'HEAD'], root);
+
+      const applied = [];
+      for (const patch of this.patches) {
+        try {
+          await git(['apply', '--3way', patch.path], worktree);
+          applied.push(patch);
+        } catch (error) {
+          this.logger.warn(`Patch for ${patch.testId} does not apply to HEAD, left out of ${this.branchName}: ${error.message}`);
+        }
+      }
+
+      if (applied.length === 0) {
+        await git(['worktree', 'remove', '--force', worktree], root);
+        await git(['branch', '-D', this.branchName], root);
+        return null;
+      }
+
+      await git(['add', '-A'], worktree);
+      await git([
+        'commit', '-m', `Auto-heal ${this.sessionId}`,
+        '-m', applied.map(p => `- ${p.testId} [${p.project}]: ${p.file}`).join('\n')
+      ], worktree);
+
+      this.branch = this.branchName;
+      this.logger.info(`Committed ${applied.length} healing patches on branch ${this.branchName}`);
+      return this.branch;
+    } catch (error) {
+      this.logger.error(`Unable to create healing branch ${this.branchName}:`, error);
+      return null;
+    } finally {
+      await git(['worktree', 'remove', '--force', worktree], root).catch(() => {});
+      fs.rmSync(worktree, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = HealingProposals;
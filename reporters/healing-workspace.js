@@ -0,0 +1,61 @@
+// reporters/healing-workspace.js
+// Isolated copy of the project for one healing attempt, so parallel heals (even of the same spec file)
+// never edit or rerun each other's files. The top-level directory holding the spec and the files at the
+// project root are copied; every other directory (node_modules, page objects, ...) is linked.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Playwright output and version control stay out: concurrent reruns would clean each other's results
+const SKIPPED = ['.git', 'test-results', 'playwright-report', 'blob-report'];
+
+class HealingWorkspace {
+  /**
+   * @param {string} specFile - absolute path of the spec being healed
+   * @param {string} [root] - the project the tests run from, default the working directory
+   */
+  constructor(specFile, root = process.cwd()) {
+    this.root = path.resolve(root);
+    this.specFile = path.resolve(specFile);
+    this.relativeSpec = path.relative(this.root, this.specFile);
+    this.dir = null;
+
+    if (this.relativeSpec.startsWith('..') || path.isAbsolute(this.relativeSpec)) {
+      throw new Error(`${this.specFile} is outside ${this.root} and cannot be healed in isolation`);
+    }
+  }
+
+  // The spec's copy in the workspace
+  get file() {
+    return path.join(this.dir, this.relativeSpec);
+  }
+
+  create() {
+    // Real path, so it matches the file paths Playwright reports (macOS links /var to /private/var)
+    this.dir = fs.mkdtempSync(path.join(fs.realpathSync(os.tmpdir()), 'pw-heal-'));
+    const specEntry = this.relativeSpec.split(path.sep)[0];
+
+    fs.readdirSync(this.root, { withFileTypes: true }).forEach(entry => {
+      if (SKIPPED.includes(entry.name)) return;
+      const source = path.join(this.root, entry.name);
+      const target = path.join(this.dir, entry.name);
+
+      if (entry.name === specEntry && entry.isDirectory()) {
+        fs.cpSync(source, target, { recursive: true });
+      } else if (entry.isFile()) {
+        fs.copyFileSync(source, target);
+      } else {
+        // 'junction' only matters on Windows, where directory symlinks need extra rights
+        fs.symlinkSync(source, target, 'junction');
+      }
+    });
+    return this;
+  }
+
+  remove() {
+    if (this.dir) fs.rmSync(this.dir, { recursive: true, force: true });
+    this.dir = null;
+  }
+}
+
+module.exports = HealingWorkspace;
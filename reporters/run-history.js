@@ -0,0 +1,127 @@
+// reporters/run-history.js
+// Local JSON store of past runs, used for cross-run flakiness and pass-rate trends per test ID
+const fs = require('fs');
+const path = require('path');
+const { fingerprintError } = require('./error-fingerprint');
+
+class RunHistory {
+  /**
+   * @param {object} options - the reporter's `history` option
+   * @param {boolean} [options.enabled] - default true
+   * @param {string} [options.file] - default './test-history.json'
+   * @param {number} [options.maxRuns] - runs kept in the file, default 50
+   * @param {number} [options.window] - runs a score is computed over, default 10
+   * @param {number} [options.minRuns] - runs needed before a test can be called flaky, default 3
+   * @param {number} [options.flakyThreshold] - score from which a test is flaky, default 0.3
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.file = path.resolve(options.file || './test-history.json');
+    this.maxRuns = options.maxRuns || 50;
+    this.window = options.window || 10;
+    this.minRuns = options.minRuns || 3;
+    this.flakyThreshold = options.flakyThreshold || 0.3;
+    this.runs = this.enabled ? this.load() : [];
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).runs || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Unable to read run history ${this.file}, starting a new one:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ version: 1, runs: this.runs }, null, 2), 'utf8');
+  }
+
+  // Appends this run's results and trims the file to maxRuns
+  recordRun(testResults, startedAt = new Date()) {
+    if (!this.enabled) return;
+
+    this.runs.push({
+      startedAt: new Date(startedAt).toISOString(),
+      tests: testResults.map(t => ({
+        testId: t.testId,
+        project: t.project,
+        status: t.status,
+        outcome: t.outcome,
+        duration: t.duration,
+        fingerprint: fingerprintError(t)
+      }))
+    });
+    this.runs = this.runs.slice(-this.maxRuns);
+
+    try {
+      this.save();
+    } catch (error) {
+      console.error(`Unable to write run history ${this.file}:`, error.message);
+    }
+  }
+
+  // One status per run for the ID across all projects: failed > flaky > passed; skipped-only runs are ignored
+  runStatuses(testId, limit = this.window) {
+    return this.runs
+      .map(run => {
+        const tests = run.tests.filter(t => t.testId === testId && t.status !== 'skipped');
+        if (tests.length === 0) return null;
+        if (tests.some(t => t.outcome === 'unexpected' || (!t.outcome && t.status !== 'passed'))) return 'failed';
+        if (tests.some(t => t.outcome === 'flaky')) return 'flaky';
+        return 'passed';
+      })
+      .filter(Boolean)
+      .slice(-limit);
+  }
+
+  // Runs in a row, counting back from the latest, in which the ID passed without retries
+  consecutivePasses(testId) {
+    const statuses = this.runStatuses(testId, this.maxRuns);
+    const lastOther = statuses.map(s => s === 'passed').lastIndexOf(false);
+    return statuses.length - 1 - lastOther;
+  }
+
+  /**
+   * Flakiness score: flaky runs plus pass/fail flips between consecutive runs, over the number of runs (max 1).
+   * Trend compares the pass rate of the newer half of the window with the older half.
+   */
+  analyze(testId) {
+    const statuses = this.runStatuses(testId);
+    const runs = statuses.length;
+    if (runs === 0) return null;
+
+    const passing = s => s !== 'failed';
+    const passRate = statuses.filter(passing).length / runs;
+    const flakyRuns = statuses.filter(s => s === 'flaky').length;
+    const flips = statuses.slice(1).filter((s, i) => passing(s) !== passing(statuses[i])).length;
+    const flakinessScore = Math.min(1, (flakyRuns + flips) / runs);
+
+    const half = Math.floor(runs / 2);
+    const rate = list => list.length > 0 ? list.filter(passing).length / list.length : 0;
+    const delta = half > 0 ? rate(statuses.slice(runs - half)) - rate(statuses.slice(0, half)) : 0;
+    const trend = delta > 0.1 ? 'improving' : delta < -0.1 ? 'declining' : 'stable';
+
+    return {
+      testId,
+      runs,
+      passRate,
+      flakinessScore,
+      trend,
+      flaky: runs >= this.minRuns && flakinessScore >= this.flakyThreshold
+    };
+  }
+
+  // Analysis of every ID in the given results, most flaky first
+  analyzeAll(testIds) {
+    return [...new Set(testIds)]
+      .map(testId => this.analyze(testId))
+      .filter(Boolean)
+      .sort((a, b) => b.flakinessScore - a.flakinessScore);
+  }
+}
+
+module.exports = RunHistory;
@@ -0,0 +1,108 @@
+// reporters/shard-results.js
+// Results files of sharded runs (--shard=1/4 ... 4/4). Each shard writes its results under
+// <dir>/<run id>/; once every shard of the run is there, one merge turns them into a single execution.
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_FILE = 'merge.lock';
+
+class ShardResults {
+  /**
+   * @param {object} options - the reporter's `shards` option
+   * @param {boolean} [options.enabled] - shard-aware mode for runs with --shard, default true
+   * @param {string} [options.dir] - default './shard-results'
+   * @param {string} [options.runId] - shared by the shards of one run, default JIRA_SHARD_RUN_ID, else the CI build;
+   *   required outside CI
+   * @param {boolean} [options.mergeOnLastShard] - the last shard to finish merges, default true; else run the merge command
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.dir = path.resolve(options.dir || './shard-results');
+    this.runId = options.runId || process.env.JIRA_SHARD_RUN_ID || null;
+    this.mergeOnLastShard = options.mergeOnLastShard !== false;
+    this.shard = null;
+  }
+
+  // Called in onBegin with config.shard ({ current, total } or null) and the run context
+  begin(shard, context = {}) {
+    const sharded = this.enabled && shard?.total > 1;
+    if (!this.runId && context.buildId) {
+      this.runId = `${context.provider}-${context.buildId}`;
+    }
+    // A commit or a fixed name would also match the files of an earlier run that was never merged
+    if (sharded && !this.runId) {
+      console.warn('Sharded run without a CI build: set JIRA_SHARD_RUN_ID (the same for every shard) to merge the shards into one execution. Reporting this shard on its own.');
+    }
+    this.shard = sharded && this.runId ? shard : null;
+  }
+
+  get active() {
+    return Boolean(this.shard);
+  }
+
+  runDir(runId = this.runId) {
+    return path.join(this.dir, String(runId).replace(/[^\w.-]+/g, '_'));
+  }
+
+  fileName(shard) {
+    return `shard-${shard.current}-of-${shard.total}.json`;
+  }
+
+  write(data) {
+    const file = path.join(this.runDir(), this.fileName(this.shard));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    return file;
+  }
+
+  files(runId = this.runId) {
+    const dir = this.runDir(runId);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => /^shard-\d+-of-\d+\.json$/.test(f)).map(f => path.join(dir, f));
+  }
+
+  /**
+   * True for exactly one caller: every shard must have written its file (unless `partial`), and the
+   * lock file makes sure shards finishing at the same time do not both merge.
+   */
+  claimMerge(runId = this.runId, { partial = false } = {}) {
+    const { shards, missing } = this.load(runId);
+    if (shards.length === 0 || (missing.length > 0 && !partial)) return false;
+
+    try {
+      fs.writeFileSync(path.join(this.runDir(runId), LOCK_FILE), `${process.pid}`, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  // { shards: [data sorted by shard], missing: [shard numbers without a file] }
+  load(runId = this.runId) {
+    const shards = this.files(runId)
+      .map(file => JSON.parse(fs.readFileSync(file, 'utf8')))
+      .sort((a, b) => a.shard.current - b.shard.current);
+    const total = shards[0]?.shard.total || this.shard?.total || 0;
+    const present = new Set(shards.map(s => s.shard.current));
+    const missing = Array.from({ length: total }, (_, i) => i + 1).filter(n => !present.has(n));
+    return { shards, missing };
+  }
+
+  // Lets a failed merge be retried
+  release(runId = this.runId) {
+    fs.rmSync(path.join(this.runDir(runId), LOCK_FILE), { force: true });
+  }
+
+  clear(runId = this.runId) {
+    fs.rmSync(this.runDir(runId), { recursive: true, force: true });
+  }
+
+  // Run IDs with results waiting to be merged
+  runs() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(d => this.files(d).length > 0);
+  }
+}
+
+module.exports = ShardResults;
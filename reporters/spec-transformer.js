@@ -0,0 +1,356 @@
+// reporters/spec-transformer.js
+// Healing edits for spec files. The spec is parsed with the TypeScript compiler (JS and TS alike) and
+// only the failing test's body is edited, as text insertions at node positions - untouched code keeps
+// its exact formatting.
+const ts = require('typescript');
+
+// Calls that declare a test; test.describe / test.step / test.beforeEach are not tests
+const TEST_CALLEES = ['test', 'it', 'test.only', 'it.only', 'test.fixme', 'test.fail'];
+const ACTION_METHODS = ['click', 'dblclick', 'fill', 'check', 'uncheck', 'hover', 'press', 'type', 'selectOption', 'tap'];
+const TEXT_LOCATORS = ['getByText', 'getByLabel', 'getByRole', 'getByPlaceholder', 'getByTitle', 'getByAltText'];
+// Calls that return a Locator, so the element healing can wait on the chain ending in one of them
+const LOCATOR_METHODS = ['locator', ...TEXT_LOCATORS, 'getByTestId', 'first', 'last', 'nth', 'filter', 'and', 'or'];
+
+class SpecTransformer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.testTimeout] - used by the timeout fix, default 60000
+   * @param {number} [options.navigationTimeout] - used by the navigation fix, default 60000
+   * @param {string} [options.navigationWaitUntil] - load state the navigation fix waits for, default 'load'
+   * @param {boolean} [options.addExactMatching] - selector fix may add { exact: true }, default true
+   * @param {boolean} [options.addFirstSelector] - selector fix may append .first(), default true
+   * @param {boolean} [options.addWaitConditions] - element fix may add waitFor(), default true
+   */
+  constructor(options = {}) {
+    this.testTimeout = options.testTimeout || 60000;
+    this.navigationTimeout = options.navigationTimeout || 60000;
+    this.navigationWaitUntil = options.navigationWaitUntil || 'load';
+    this.addExactMatching = options.addExactMatching !== false;
+    this.addFirstSelector = options.addFirstSelector !== false;
+    this.addWaitConditions = options.addWaitConditions !== false;
+  }
+
+  /**
+   * @param {string} content - spec file source
+   * @param {string} fileName - used to pick the JS/TS parser
+   * @param {string} strategyType - 'timeout' | 'selector' | 'element_missing' | 'navigation' | other
+   * @param {object} failure - { line, error, errorLocation } from the failed test's result
+   * @returns {{ content: string, changes: string[] }} content is unchanged when nothing applies
+   */
+  transform(content, fileName, strategyType, failure) {
+    const sourceFile = ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true, this.scriptKind(fileName));
+    const testCall = this.findTestCall(sourceFile, failure.line);
+    if (!testCall) {
+      throw new Error(`No test found at ${fileName}:${failure.line}`);
+    }
+
+    const context = {
+      sourceFile,
+      body: testCall.body,
+      failure,
+      quote: this.detectQuote(sourceFile),
+      semicolon: this.detectSemicolon(testCall.body)
+    };
+
+    let edits;
+    switch (strategyType) {
+      case 'timeout':
+        edits = this.timeoutEdits(context);
+        break;
+      case 'selector':
+        edits = this.selectorEdits(context);
+        break;
+      case 'element_missing':
+        edits = this.elementEdits(context);
+        break;
+      case 'navigation':
+        edits = this.navigationEdits(context);
+        break;
+      default:
+        edits = this.generalEdits(context);
+    }
+
+    if (edits.length === 0) {
+      return { content, changes: [] };
+    }
+
+    const updated = this.applyEdits(content, edits);
+    this.assertValid(updated, fileName);
+    return { content: updated, changes: edits.map(e => e.description) };
+  }
+
+  scriptKind(fileName) {
+    if (/\.tsx$/.test(fileName)) return ts.ScriptKind.TSX;
+    if (/\.[cm]?ts$/.test(fileName)) return ts.ScriptKind.TS;
+    if (/\.jsx$/.test(fileName)) return ts.ScriptKind.JSX;
+    return ts.ScriptKind.JS;
+  }
+
+  lineOf(sourceFile, pos) {
+    return sourceFile.getLineAndCharacterOfPosition(pos).line + 1;
+  }
+
+  // Playwright reports a test's location as the line of its test(...) call
+  findTestCall(sourceFile, line) {
+    let found = null;
+
+    const visit = node => {
+      if (found) return;
+      if (ts.isCallExpression(node) &&
+          TEST_CALLEES.includes(node.expression.getText(sourceFile)) &&
+          this.lineOf(sourceFile, node.getStart(sourceFile)) === line) {
+        const callback = [...node.arguments].reverse().find(arg =>
+          (ts.isArrowFunction(arg) || ts.isFunctionExpression(arg)) && ts.isBlock(arg.body));
+        if (callback) {
+          found = { call: node, body: callback.body };
+          return;
+        }
+      }
+      ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+    return found;
+  }
+
+  // Every node inside the test body matching the predicate
+  collect(body, predicate) {
+    const nodes = [];
+    const visit = node => {
+      if (predicate(node)) nodes.push(node);
+      ts.forEachChild(node, visit);
+    };
+    ts.forEachChild(body, visit);
+    return nodes;
+  }
+
+  // Method calls like page.goto(...) or page.getByText(...): returns the method name or null
+  methodName(call) {
+    return ts.isCallExpression(call) && ts.isPropertyAccessExpression(call.expression)
+      ? call.expression.name.text
+      : null;
+  }
+
+  // Innermost statement around the node that sits directly in a block, so code inserted before it stays
+  // in the same scope. Null for a statement that is the whole body of a braceless if/for/while.
+  enclosingStatement(body, node) {
+    let current = node;
+    while (current !== body && current.parent) {
+      const parent = current.parent;
+      if (ts.isBlock(parent) || ts.isCaseClause(parent) || ts.isDefaultClause(parent)) return current;
+      if (parent.statement === current || parent.thenStatement === current || parent.elseStatement === current) return null;
+      current = parent;
+    }
+    return null;
+  }
+
+  // Locator chains like page.getByRole('button').first(); variables are not followed
+  isLocatorChain(node) {
+    return LOCATOR_METHODS.includes(this.methodName(node));
+  }
+
+  // What to wait on before `await <receiver>.<action>(...)`: the locator chain itself, or for
+  // page.<action>(selector) the locator of its selector. Null for anything else (page.keyboard, variables, ...)
+  waitTarget(action, sourceFile) {
+    const call = action.expression;
+    const receiver = call.expression.expression;
+    if (this.isLocatorChain(receiver)) {
+      return receiver.getText(sourceFile);
+    }
+    if (ts.isIdentifier(receiver) && receiver.text === 'page' && call.arguments.length > 0) {
+      return `page.locator(${call.arguments[0].getText(sourceFile)})`;
+    }
+    return null;
+  }
+
+  indentOf(sourceFile, node) {
+    const start = node.getStart(sourceFile);
+    const lineStart = sourceFile.text.lastIndexOf('\n', start - 1) + 1;
+    return sourceFile.text.slice(lineStart, start).match(/^\s*/)[0];
+  }
+
+  detectQuote(sourceFile) {
+    let quote = null;
+    const visit = node => {
+      if (quote) return;
+      if (ts.isStringLiteral(node)) {
+        quote = node.getText(sourceFile)[0];
+        return;
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    return quote || "'";
+  }
+
+  // Judged on a simple statement: blocks like if (...) { } never end with a semicolon
+  detectSemicolon(body) {
+    const [first] = this.collect(body, node => ts.isExpressionStatement(node) || ts.isVariableStatement(node));
+    return !first || first.getText().trim().endsWith(';') ? ';' : '';
+  }
+
+  // Inserts a statement as the first line of the test body
+  prependStatement(context, code, description) {
+    const { sourceFile, body } = context;
+    const first = body.statements[0];
+    const indent = first
+      ? this.indentOf(sourceFile, first)
+      : `${this.indentOf(sourceFile, body)}  `;
+    const openBrace = body.getStart(sourceFile) + 1;
+    return { pos: openBrace, text: `\n${indent}${code}${context.semicolon}`, description };
+  }
+
+  hasCall(context, calleeText) {
+    return this.collect(context.body, node =>
+      ts.isCallExpression(node) && node.expression.getText(context.sourceFile) === calleeText).length > 0;
+  }
+
+  timeoutEdits(context) {
+    if (this.hasCall(context, 'test.setTimeout') || this.hasCall(context, 'test.slow')) {
+      return [];
+    }
+    return [this.prependStatement(context, `test.setTimeout(${this.testTimeout})`, `Set test timeout to ${this.testTimeout}ms`)];
+  }
+
+  generalEdits(context) {
+    if (this.hasCall(context, 'test.slow') || this.hasCall(context, 'test.setTimeout')) {
+      return [];
+    }
+    return [this.prependStatement(context, 'test.slow()', 'Marked test as slow')];
+  }
+
+  // Locator calls the error points at: the locator named in a strict mode violation,
+  // otherwise the locator calls on the line where the test failed
+  failingLocatorCalls(context) {
+    const { sourceFile, body, failure } = context;
+    const locatorCalls = this.collect(body, node => {
+      const name = this.methodName(node);
+      return name === 'locator' || TEXT_LOCATORS.includes(name);
+    });
+
+    const error = (failure.error || '').replace(/\u001b\[[0-9;]*m/g, '');
+    const described = /strict mode violation: (.+?) resolved to \d+ elements/.exec(error);
+    if (described) {
+      // Last segment of e.g. "locator('#form').getByText('Save')"
+      const segments = [...described[1].matchAll(/(\w+)\((['"`])(.*?)\2/g)];
+      const last = segments[segments.length - 1];
+      if (last) {
+        const matches = locatorCalls.filter(call =>
+          this.methodName(call) === last[1] &&
+          call.arguments[0] && ts.isStringLiteralLike(call.arguments[0]) &&
+          call.arguments[0].text === last[3]);
+        if (matches.length > 0) return matches;
+      }
+    }
+
+    const errorLine = this.errorLine(context);
+    if (!errorLine) return [];
+    return locatorCalls.filter(call => this.lineOf(sourceFile, call.getStart(sourceFile)) === errorLine);
+  }
+
+  // The error location is only usable when it points into the spec being edited
+  errorLine(context) {
+    const location = context.failure.errorLocation;
+    if (!location?.line) return null;
+    if (location.file && context.sourceFile.fileName && location.file !== context.sourceFile.fileName) return null;
+    return location.line;
+  }
+
+  selectorEdits(context) {
+    const { sourceFile } = context;
+    const edits = [];
+
+    for (const call of this.failingLocatorCalls(context)) {
+      const name = this.methodName(call);
+      const text = call.getText(sourceFile);
+
+      if (TEXT_LOCATORS.includes(name) && name !== 'getByRole' && call.arguments.length === 1 && this.addExactMatching) {
+        edits.push({
+          pos: call.arguments[0].getEnd(),
+          text: ', { exact: true }',
+          description: `Added exact matching to ${text}`
+        });
+        continue;
+      }
+
+      // Already narrowed: locator(...).first() / .nth() / .last()
+      const parent = call.parent;
+      const narrowed = ts.isPropertyAccessExpression(parent) && ['first', 'last', 'nth'].includes(parent.name.text);
+      if (!narrowed && this.addFirstSelector) {
+        edits.push({ pos: call.getEnd(), text: '.first()', description: `Narrowed ${text} to its first match` });
+      }
+    }
+
+    return edits;
+  }
+
+  elementEdits(context) {
+    if (!this.addWaitConditions) return [];
+
+    const { sourceFile, body, quote, semicolon } = context;
+    const errorLine = this.errorLine(context);
+    const actions = this.collect(body, node =>
+      ts.isAwaitExpression(node) &&
+      ACTION_METHODS.includes(this.methodName(node.expression)) &&
+      (!errorLine || this.lineOf(sourceFile, node.getStart(sourceFile)) === errorLine));
+
+    // Without an error line only the first action is guarded, never every action in the test
+    const targets = errorLine ? actions : actions.slice(0, 1);
+    const edits = [];
+
+    for (const action of targets) {
+      const target = this.waitTarget(action, sourceFile);
+      const statement = target && this.enclosingStatement(body, action);
+      if (!statement) continue;
+
+      const waitCode = `await ${target}.waitFor({ state: ${quote}visible${quote} })`;
+
+      // Skip when the previous statement already waits for the same element
+      const siblings = statement.parent.statements;
+      const previous = siblings[siblings.indexOf(statement) - 1];
+      if (previous && previous.getText(sourceFile).startsWith(waitCode)) continue;
+
+      const indent = this.indentOf(sourceFile, statement);
+      edits.push({
+        pos: statement.getStart(sourceFile),
+        text: `${waitCode}${semicolon}\n${indent}`,
+        description: `Wait for ${target} to be visible before acting on it`
+      });
+    }
+
+    return edits;
+  }
+
+  // The goto on the error line; without an error line, the first goto of the test
+  navigationEdits(context) {
+    const { sourceFile, body, quote } = context;
+    const errorLine = this.errorLine(context);
+    const gotos = this.collect(body, node => this.methodName(node) === 'goto' && node.arguments.length === 1);
+    const targets = errorLine
+      ? gotos.filter(call => this.lineOf(sourceFile, call.getStart(sourceFile)) === errorLine)
+      : gotos.slice(0, 1);
+
+    return targets.map(call => ({
+      pos: call.arguments[0].getEnd(),
+      text: `, { waitUntil: ${quote}${this.navigationWaitUntil}${quote}, timeout: ${this.navigationTimeout} }`,
+      description: `Added ${this.navigationWaitUntil} wait and ${this.navigationTimeout}ms timeout to ${call.getText(sourceFile)}`
+    }));
+  }
+
+  // Insertions are applied back to front so earlier positions stay valid
+  applyEdits(content, edits) {
+    return [...edits]
+      .sort((a, b) => b.pos - a.pos)
+      .reduce((text, edit) => text.slice(0, edit.pos) + edit.text + text.slice(edit.pos), content);
+  }
+
+  assertValid(content, fileName) {
+    const { diagnostics } = ts.transpileModule(content, { fileName, reportDiagnostics: true });
+    if (diagnostics?.length > 0) {
+      const message = ts.flattenDiagnosticMessageText(diagnostics[0].messageText, '\n');
+      throw new Error(`Healing produced invalid code in ${fileName}: ${message}`);
+    }
+  }
+}
+
+module.exports = SpecTransformer;
@@ -0,0 +1,145 @@
+// reporters/status-transitioner.js
+// Moves test case issues through their Jira workflow by test outcome, e.g. passed -> "Passing".
+// A Test ID is transitioned at most once per run: its results across projects (chromium, firefox,
+// webkit, ...) and covering tests are combined into one outcome first.
+const axios = require('axios');
+const { mapWithConcurrency } = require('../scripts/concurrency');
+
+// Higher is worse; skipped never outranks an outcome that actually ran
+const SEVERITY = { skipped: 0, passed: 1, flaky: 2, failed: 3, timedOut: 3 };
+// Outcomes without their own entry in the map use this one
+const FALLBACK = { timedOut: 'failed', flaky: 'passed' };
+const RULES = ['worst', 'best', 'last'];
+
+class StatusTransitioner {
+  /**
+   * @param {object} jiraConfig - axios config with baseURL and auth headers
+   * @param {TestCaseLookup} testCaseLookup - finds the test case issue of a Test ID
+   * @param {object} options - the reporter's `transitions` option
+   * @param {boolean} [options.enabled] - default true when `map` is set
+   * @param {object} [options.map] - outcome -> transition name, e.g. { passed: 'Passing', failed: 'Failing', skipped: 'Blocked' };
+   *   outcomes are passed, flaky, failed, timedOut and skipped (flaky falls back to passed, timedOut to failed)
+   * @param {string} [options.rule] - how results of one Test ID combine: 'worst' (default), 'best' or 'last'
+   * @param {number} [options.concurrency] - Test IDs transitioned at once, default 5
+   */
+  constructor(jiraConfig, testCaseLookup, options = {}) {
+    this.jiraConfig = jiraConfig;
+    this.testCaseLookup = testCaseLookup;
+    this.map = options.map || {};
+    this.enabled = options.enabled ?? Object.keys(this.map).length > 0;
+    this.rule = options.rule || 'worst';
+    this.concurrency = Number(options.concurrency) || 5;
+    // "<issue type id>:<status id>:<transition name>" -> promise of the transition, shared by issues of one
+    // type in the same status (each issue type can have its own workflow)
+    this.transitionCache = new Map();
+
+    if (!RULES.includes(this.rule)) {
+      throw new Error(`Unknown transition rule '${this.rule}' (use ${RULES.join(', ')})`);
+    }
+    const unknown = Object.keys(this.map).filter(outcome => !(outcome in SEVERITY));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown outcomes in transitions.map: ${unknown.join(', ')} (use ${Object.keys(SEVERITY).join(', ')})`);
+    }
+  }
+
+  // Outcome of one result; null for interrupted runs, which never move an issue
+  outcomeOf(testData) {
+    if (testData.status === 'interrupted') return null;
+    if (testData.outcome === 'skipped' || testData.status === 'skipped') return 'skipped';
+    if (testData.outcome === 'flaky') return 'flaky';
+    if (testData.outcome === 'unexpected') return testData.status === 'timedOut' ? 'timedOut' : 'failed';
+    // Expected, including tests marked test.fail() that failed as expected
+    return 'passed';
+  }
+
+  // One outcome per Test ID according to the rule: Map of testId -> outcome
+  combine(testResults) {
+    const byTestId = new Map();
+    testResults.forEach(testData => {
+      const outcome = this.outcomeOf(testData);
+      if (!outcome) return;
+      byTestId.set(testData.testId, [...(byTestId.get(testData.testId) || []), { outcome, startTime: testData.startTime }]);
+    });
+
+    const combined = new Map();
+    const picks = {
+      worst: (a, b) => (SEVERITY[b.outcome] > SEVERITY[a.outcome] ? b : a),
+      best: (a, b) => (SEVERITY[b.outcome] < SEVERITY[a.outcome] ? b : a),
+      last: (a, b) => (new Date(b.startTime) >= new Date(a.startTime) ? b : a)
+    };
+    byTestId.forEach((results, testId) => {
+      const ran = results.filter(r => r.outcome !== 'skipped');
+      combined.set(testId, (ran.length > 0 ? ran : results).reduce(picks[this.rule]).outcome);
+    });
+    return combined;
+  }
+
+  transitionFor(outcome) {
+    return this.map[outcome] || (FALLBACK[outcome] && this.map[FALLBACK[outcome]]) || null;
+  }
+
+  /**
+   * Applies one transition per Test ID.
+   * @returns {Promise<{ testId, key, outcome, transition, status }[]>} the transitions made
+   */
+  async applyAll(testResults) {
+    if (!this.enabled) return [];
+
+    const applied = [];
+    const combined = this.combine(testResults);
+    await mapWithConcurrency([...combined], this.concurrency, async ([testId, outcome]) => {
+      const name = this.transitionFor(outcome);
+      if (!name) return;
+
+      try {
+        const issue = await this.testCaseLookup.findIssue(testId);
+        if (!issue) return;
+
+        const status = await this.apply(issue.key, name);
+        if (status) {
+          console.log(`Transitioned ${issue.key} (${testId}) to ${status}: ${outcome}`);
+          applied.push({ testId, key: issue.key, outcome, transition: name, status });
+        }
+      } catch (error) {
+        console.error(`Error transitioning ${testId}:`, error.response?.data || error.message);
+      }
+    });
+    return applied;
+  }
+
+  // Moves the issue with the named transition; returns the new status, or null when it is already there
+  async apply(issueKey, name) {
+    const issue = await axios.get(`/rest/api/3/issue/${issueKey}`, { ...this.jiraConfig, params: { fields: 'status,issuetype' } });
+    const { status, issuetype } = issue.data.fields;
+    const wanted = name.toLowerCase();
+    if (status.name.toLowerCase() === wanted) return null;
+
+    const cacheKey = `${issuetype?.id}:${status.id}:${wanted}`;
+    if (!this.transitionCache.has(cacheKey)) {
+      this.transitionCache.set(cacheKey, this.findTransition(issueKey, wanted).catch(error => {
+        this.transitionCache.delete(cacheKey);
+        throw error;
+      }));
+    }
+
+    const transition = await this.transitionCache.get(cacheKey);
+    if (!transition) {
+      console.warn(`No '${name}' transition available on ${issueKey} from status '${status.name}'`);
+      return null;
+    }
+    if (transition.to?.id === status.id) return null;
+
+    await axios.post(`/rest/api/3/issue/${issueKey}/transitions`, { transition: { id: transition.id } }, this.jiraConfig);
+    return transition.to?.name || name;
+  }
+
+  // Matched on the transition name, or on the status it leads to
+  async findTransition(issueKey, wanted) {
+    const response = await axios.get(`/rest/api/3/issue/${issueKey}/transitions`, this.jiraConfig);
+    return (response.data.transitions || []).find(t =>
+      t.name.toLowerCase() === wanted || t.to?.name?.toLowerCase() === wanted
+    ) || null;
+  }
+}
+
+module.exports = StatusTransitioner;
@@ -0,0 +1,90 @@
+// reporters/test-id-extractor.js
+// Finds the traceability Test IDs (e.g. VAL-001) a Playwright test covers
+
+const DEFAULT_SOURCES = ['annotation', 'tag', 'title'];
+
+class TestIdExtractor {
+  /**
+   * @param {object} options - the reporter's `testIds` option
+   * @param {string[]} [options.sources] - any of 'annotation', 'tag', 'title', 'describe', checked in order
+   * @param {string|RegExp} [options.idPattern] - shape of a single ID, e.g. 'VAL-\\d+' or /(?:VAL|SHOP)-\d+/
+   * @param {string|RegExp} [options.titlePattern] - pattern for titles; capture group 1 (or the match) is the ID.
+   *   Default: every ID before the first ':', as in "VAL-1, VAL-2: Checkout"
+   * @param {string} [options.annotationType] - annotation type holding IDs, e.g. { type: 'jira', description: 'VAL-12' }
+   */
+  constructor(options = {}) {
+    this.sources = options.sources || DEFAULT_SOURCES;
+    const unknown = this.sources.filter(s => !['annotation', 'tag', 'title', 'describe'].includes(s));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown test ID sources: ${unknown.join(', ')}`);
+    }
+
+    this.idPattern = this.toGlobal(options.idPattern || 'VAL-\\d+');
+    this.titlePattern = options.titlePattern ? this.toGlobal(options.titlePattern) : null;
+    this.annotationType = options.annotationType || 'jira';
+  }
+
+  toGlobal(pattern) {
+    if (pattern instanceof RegExp) {
+      return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    }
+    return new RegExp(pattern, 'g');
+  }
+
+  // Returns every unique ID the test maps to, in source order
+  extract(test) {
+    const ids = [];
+    for (const source of this.sources) {
+      ids.push(...this.fromSource(source, test));
+    }
+    return [...new Set(ids)];
+  }
+
+  fromSource(source, test) {
+    switch (source) {
+      case 'annotation':
+        return (test.annotations || [])
+          .filter(a => a.type === this.annotationType && a.description)
+          .flatMap(a => this.matchIds(a.description));
+
+      case 'tag':
+        // Playwright keeps the leading '@' on tags: '@VAL-12'
+        return (test.tags || [])
+          .map(tag => tag.replace(/^@/, ''))
+          .flatMap(tag => this.matchIds(tag).filter(id => id === tag));
+
+      case 'title':
+        return this.matchTitle(test.title);
+
+      case 'describe':
+        return this.describeTitles(test).flatMap(title => this.matchTitle(title));
+
+      default:
+        return [];
+    }
+  }
+
+  matchIds(text) {
+    return [...text.matchAll(this.idPattern)].map(m => m[0]);
+  }
+
+  matchTitle(title = '') {
+    if (this.titlePattern) {
+      return [...title.matchAll(this.titlePattern)].map(m => m[1] || m[0]);
+    }
+    // The "VAL-001: Title" convention, with any number of IDs before the colon
+    const colon = title.indexOf(':');
+    return colon < 0 ? [] : this.matchIds(title.slice(0, colon));
+  }
+
+  describeTitles(test) {
+    const titles = [];
+    // Walk up describe blocks; file and project suites have no 'describe' type
+    for (let suite = test.parent; suite; suite = suite.parent) {
+      if (suite.type === 'describe' && suite.title) titles.unshift(suite.title);
+    }
+    return titles;
+  }
+}
+
+module.exports = TestIdExtractor;
@@ -0,0 +1,153 @@
+// reporters/xray-exporter.js
+// Xray execution backend: builds an Xray JSON execution import, writes it to disk and optionally POSTs it
+// https://docs.getxray.app/display/XRAYCLOUD/Import+Execution+Results+-+REST+v2
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+// Xray Cloud and Server/DC name the default statuses differently
+const STATUSES = {
+  cloud: { passed: 'PASSED', failed: 'FAILED', skipped: 'TODO', interrupted: 'ABORTED' },
+  server: { passed: 'PASS', failed: 'FAIL', skipped: 'TODO', interrupted: 'ABORTED' }
+};
+
+class XrayExporter {
+  /**
+   * @param {object} jiraConfig - axios config for Jira, used for Server/DC imports
+   * @param {string} projectKey
+   * @param {TestCaseLookup} testCaseLookup - resolves test IDs to Xray Test issue keys
+   * @param {object} options - the reporter's `xray` option
+   * @param {string} [options.outputFile] - default './jira-exports/xray-execution.json'
+   * @param {boolean} [options.post] - import into Xray, default false
+   * @param {boolean} [options.cloud] - Xray Cloud (default) or Server/Data Center
+   * @param {string} [options.baseURL] - Xray Cloud API, default 'https://xray.cloud.getxray.app'
+   * @param {string} [options.clientId] - Xray Cloud API key, default XRAY_CLIENT_ID
+   * @param {string} [options.clientSecret] - default XRAY_CLIENT_SECRET
+   * @param {string} [options.testPlanKey] - adds the execution to a Test Plan
+   * @param {string} [options.testExecutionKey] - updates an existing Test Execution instead of creating one
+   * @param {boolean} [options.includeEvidence] - embed failure attachments, default true
+   */
+  constructor(jiraConfig, projectKey, testCaseLookup, options = {}) {
+    this.jiraConfig = jiraConfig;
+    this.projectKey = projectKey;
+    this.testCaseLookup = testCaseLookup;
+    this.outputFile = path.resolve(options.outputFile || './jira-exports/xray-execution.json');
+    this.post = options.post === true;
+    this.cloud = options.cloud !== false;
+    this.baseURL = options.baseURL || 'https://xray.cloud.getxray.app';
+    this.clientId = options.clientId || process.env.XRAY_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.XRAY_CLIENT_SECRET;
+    this.testPlanKey = options.testPlanKey;
+    this.testExecutionKey = options.testExecutionKey;
+    this.includeEvidence = options.includeEvidence !== false;
+  }
+
+  status(testData) {
+    const statuses = STATUSES[this.cloud ? 'cloud' : 'server'];
+    if (testData.status === 'timedOut') return statuses.failed;
+    return statuses[testData.status] || statuses.failed;
+  }
+
+  // Xray takes one entry per Test; results of the same ID from several projects are merged, worst status wins
+  async buildPayload(testResults, run) {
+    const byTestId = new Map();
+    testResults.forEach(t => {
+      if (!byTestId.has(t.testId)) byTestId.set(t.testId, []);
+      byTestId.get(t.testId).push(t);
+    });
+
+    const order = ['failed', 'timedOut', 'interrupted', 'passed', 'skipped'];
+    const tests = [];
+
+    for (const [testId, results] of byTestId) {
+      const worst = [...results].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status))[0];
+      const issue = await this.testCaseLookup.findIssue(testId).catch(() => null);
+      const start = new Date(Math.min(...results.map(r => new Date(r.startTime || run.startTime).getTime())));
+      const finish = new Date(Math.max(...results.map(r => new Date(r.startTime || run.startTime).getTime() + r.duration)));
+
+      const entry = {
+        start: start.toISOString(),
+        finish: finish.toISOString(),
+        status: this.status(worst),
+        comment: results
+          .map(r => `[${r.project}] ${r.status.toUpperCase()}${r.error ? `: ${r.error.split('\n')[0]}` : ''}`)
+          .join('\n')
+      };
+
+      // Without a known Test issue, Xray creates one from testInfo
+      if (issue) {
+        entry.testKey = issue.key;
+      } else {
+        entry.testInfo = { projectKey: this.projectKey, summary: worst.title, type: 'Generic', definition: testId };
+      }
+
+      if (this.includeEvidence) {
+        const evidence = this.evidence(results);
+        if (evidence.length > 0) entry.evidence = evidence;
+      }
+
+      tests.push(entry);
+    }
+
+    const info = {
+      summary: run.summary,
+      description: `Playwright run with ${testResults.length} results`,
+      startDate: run.startTime.toISOString(),
+      finishDate: run.endTime.toISOString(),
+      testEnvironments: [...new Set(testResults.map(t => t.project))]
+    };
+    if (this.cloud) info.project = this.projectKey;
+    if (run.context?.commit) info.revision = run.context.commit;
+    if (run.context?.fixVersion) info.version = run.context.fixVersion;
+    if (this.testPlanKey) info.testPlanKey = this.testPlanKey;
+
+    const payload = { info, tests };
+    if (this.testExecutionKey) payload.testExecutionKey = this.testExecutionKey;
+    return payload;
+  }
+
+  evidence(results) {
+    const seen = new Set();
+    return results.flatMap(r => r.attachments || [])
+      .filter(a => !a.path || !seen.has(a.path) && seen.add(a.path))
+      .map(a => ({
+        data: (a.body || fs.readFileSync(a.path)).toString('base64'),
+        filename: a.path ? path.basename(a.path) : a.name,
+        contentType: a.contentType
+      }));
+  }
+
+  async export(testResults, run) {
+    const payload = await this.buildPayload(testResults, run);
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+    fs.writeFileSync(this.outputFile, JSON.stringify(payload, null, 2), 'utf8');
+    console.log(`Wrote Xray execution import to ${this.outputFile}`);
+
+    if (!this.post) return { file: this.outputFile, key: null };
+
+    const response = this.cloud
+      ? await this.postCloud(payload)
+      : await axios.post('/rest/raven/1.0/import/execution', payload, this.jiraConfig);
+
+    const key = response.data?.key || response.data?.testExecIssue?.key;
+    console.log(`Imported results into Xray Test Execution ${key}`);
+    return { file: this.outputFile, key };
+  }
+
+  async postCloud(payload) {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Xray Cloud import needs XRAY_CLIENT_ID and XRAY_CLIENT_SECRET');
+    }
+
+    const auth = await axios.post(`${this.baseURL}/api/v2/authenticate`, {
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    });
+
+    return axios.post(`${this.baseURL}/api/v2/import/execution`, payload, {
+      headers: { 'Authorization': `Bearer ${auth.data}`, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+module.exports = XrayExporter;
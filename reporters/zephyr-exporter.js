@@ -0,0 +1,134 @@
+// reporters/zephyr-exporter.js
+// Zephyr Scale execution backend: a test cycle plus one test execution per result, written to disk and
+// optionally created through the Zephyr Scale Cloud API
+// https://support.smartbear.com/zephyr-scale-cloud/api-docs/
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const STATUSES = {
+  passed: 'Pass',
+  failed: 'Fail',
+  timedOut: 'Fail',
+  interrupted: 'Blocked',
+  skipped: 'Not Executed'
+};
+
+class ZephyrExporter {
+  /**
+   * @param {string} projectKey
+   * @param {object} options - the reporter's `zephyr` option
+   * @param {string} [options.outputFile] - default './jira-exports/zephyr-execution.json'
+   * @param {boolean} [options.post] - create the cycle and executions in Zephyr Scale, default false
+   * @param {string} [options.baseURL] - default 'https://api.zephyrscale.smartbear.com/v2'
+   * @param {string} [options.apiToken] - default ZEPHYR_API_TOKEN
+   * @param {object} [options.testCaseKeys] - test ID -> Zephyr test case key, e.g. { 'VAL-001': 'VAL-T1' }
+   * @param {boolean} [options.useEnvironments] - send the Playwright project as environmentName, default false
+   * @param {string} [options.folderId] - folder for the new test cycle
+   */
+  constructor(projectKey, options = {}) {
+    this.projectKey = projectKey;
+    this.outputFile = path.resolve(options.outputFile || './jira-exports/zephyr-execution.json');
+    this.post = options.post === true;
+    this.baseURL = options.baseURL || 'https://api.zephyrscale.smartbear.com/v2';
+    this.apiToken = options.apiToken || process.env.ZEPHYR_API_TOKEN;
+    this.testCaseKeys = options.testCaseKeys || {};
+    this.useEnvironments = options.useEnvironments === true;
+    this.folderId = options.folderId;
+  }
+
+  get apiConfig() {
+    return {
+      baseURL: this.baseURL,
+      headers: { 'Authorization': `Bearer ${this.apiToken}`, 'Content-Type': 'application/json' }
+    };
+  }
+
+  // Test cases whose name starts with "VAL-001:" map to that ID unless testCaseKeys says otherwise
+  async resolveTestCaseKeys() {
+    const keys = {};
+    let startAt = 0;
+
+    while (true) {
+      const response = await axios.get('/testcases', {
+        ...this.apiConfig,
+        params: { projectKey: this.projectKey, startAt, maxResults: 100 }
+      });
+      const values = response.data.values || [];
+      values.forEach(testCase => {
+        const match = /^([^:\s]+):/.exec(testCase.name || '');
+        if (match && !keys[match[1]]) keys[match[1]] = testCase.key;
+      });
+
+      if (response.data.isLast !== false || values.length === 0) break;
+      startAt += values.length;
+    }
+
+    return { ...keys, ...this.testCaseKeys };
+  }
+
+  buildPayload(testResults, run, testCaseKeys = this.testCaseKeys) {
+    const testCycle = {
+      projectKey: this.projectKey,
+      name: run.summary,
+      description: `Playwright run with ${testResults.length} results${run.context?.buildUrl ? ` - ${run.context.buildUrl}` : ''}`,
+      plannedStartDate: run.startTime.toISOString(),
+      plannedEndDate: run.endTime.toISOString()
+    };
+    if (this.folderId) testCycle.folderId = this.folderId;
+
+    const testExecutions = testResults.map(t => {
+      const execution = {
+        projectKey: this.projectKey,
+        testCaseKey: testCaseKeys[t.testId] || t.testId,
+        statusName: STATUSES[t.status] || 'Fail',
+        actualEndDate: new Date(new Date(t.startTime || run.startTime).getTime() + t.duration).toISOString(),
+        executionTime: t.duration,
+        comment: `[${t.project}] ${t.title}${t.attempts > 1 ? ` (${t.attempts} attempts)` : ''}` +
+          (t.error ? `<br>${t.error.split('\n')[0]}` : '')
+      };
+      if (this.useEnvironments) execution.environmentName = t.project;
+      return execution;
+    });
+
+    return { testCycle, testExecutions };
+  }
+
+  async export(testResults, run) {
+    let testCaseKeys = this.testCaseKeys;
+    if (this.post) {
+      if (!this.apiToken) throw new Error('Zephyr Scale import needs ZEPHYR_API_TOKEN');
+      testCaseKeys = await this.resolveTestCaseKeys();
+    }
+
+    const payload = this.buildPayload(testResults, run, testCaseKeys);
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+    fs.writeFileSync(this.outputFile, JSON.stringify(payload, null, 2), 'utf8');
+    console.log(`Wrote Zephyr Scale executions to ${this.outputFile}`);
+
+    if (!this.post) return { file: this.outputFile, key: null };
+
+    const cycle = await axios.post('/testcycles', payload.testCycle, this.apiConfig);
+    const testCycleKey = cycle.data.key;
+    const known = new Set(Object.values(testCaseKeys));
+    let created = 0;
+
+    for (const execution of payload.testExecutions) {
+      if (!known.has(execution.testCaseKey)) {
+        console.log(`No Zephyr Scale test case for ${execution.testCaseKey}, execution skipped`);
+        continue;
+      }
+      try {
+        await axios.post('/testexecutions', { ...execution, testCycleKey }, this.apiConfig);
+        created++;
+      } catch (error) {
+        console.error(`Error creating Zephyr Scale execution for ${execution.testCaseKey}:`, error.response?.data || error.message);
+      }
+    }
+
+    console.log(`Created Zephyr Scale test cycle ${testCycleKey} with ${created} executions`);
+    return { file: this.outputFile, key: testCycleKey };
+  }
+}
+
+module.exports = ZephyrExporter;
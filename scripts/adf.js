@@ -0,0 +1,192 @@
+// scripts/adf.js
+// Small builder for Atlassian Document Format (ADF), the rich text format of Jira Cloud v3 fields and comments
+// https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+
+// Playwright error messages carry terminal colors
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+const STATUS_COLORS = {
+  passed: 'green',
+  healed: 'green',
+  failed: 'red',
+  timedOut: 'red',
+  interrupted: 'yellow',
+  flaky: 'yellow',
+  skipped: 'neutral'
+};
+
+function clean(value) {
+  return String(value ?? '').replace(ANSI_PATTERN, '');
+}
+
+function doc(...content) {
+  return { type: 'doc', version: 1, content: content.flat().filter(Boolean) };
+}
+
+// ADF rejects empty text nodes, so empty values produce no node at all
+function text(value, marks) {
+  const str = clean(value);
+  if (!str) return null;
+  return marks?.length ? { type: 'text', text: str, marks } : { type: 'text', text: str };
+}
+
+function strong(value) {
+  return text(value, [{ type: 'strong' }]);
+}
+
+function link(value, href) {
+  return text(value, [{ type: 'link', attrs: { href } }]);
+}
+
+function colored(value, color) {
+  return text(value, [{ type: 'textColor', attrs: { color } }]);
+}
+
+// Accepts strings and inline nodes
+function inline(parts) {
+  return parts.flat().map(p => (typeof p === 'string' || typeof p === 'number' ? text(p) : p)).filter(Boolean);
+}
+
+function paragraph(...parts) {
+  return { type: 'paragraph', content: inline(parts) };
+}
+
+function heading(level, value) {
+  return { type: 'heading', attrs: { level }, content: inline([value]) };
+}
+
+// "Label: value" with a bold label
+function field(label, value) {
+  return paragraph(strong(`${label}: `), value);
+}
+
+function bulletList(items) {
+  return {
+    type: 'bulletList',
+    content: items.map(item => ({
+      type: 'listItem',
+      content: [item?.type === 'paragraph' ? item : paragraph(item)]
+    }))
+  };
+}
+
+function codeBlock(value, language) {
+  const node = { type: 'codeBlock', content: inline([value]) };
+  if (language) node.attrs = { language };
+  return node;
+}
+
+// Colored lozenge, e.g. status('PASSED', 'green')
+function status(value, color = 'neutral') {
+  return { type: 'status', attrs: { text: clean(value), color, localId: '' } };
+}
+
+// Lozenge for a Playwright status (passed, failed, timedOut, ...)
+function testStatus(value) {
+  return status(String(value).toUpperCase(), STATUS_COLORS[value] || 'neutral');
+}
+
+// Collapsible section
+function expand(title, ...content) {
+  return { type: 'expand', attrs: { title: clean(title) }, content: content.flat().filter(Boolean) };
+}
+
+function panel(panelType, ...content) {
+  return { type: 'panel', attrs: { panelType }, content: content.flat().filter(Boolean) };
+}
+
+function tableCell(value, type) {
+  const content = value?.type === 'paragraph' ? value : paragraph(value);
+  return { type, attrs: {}, content: [content] };
+}
+
+// headers: string[]; rows: array of cell arrays (strings or inline nodes)
+function table(headers, rows) {
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: [
+      { type: 'tableRow', content: headers.map(h => tableCell(strong(h), 'tableHeader')) },
+      ...rows.map(row => ({ type: 'tableRow', content: row.map(cell => tableCell(cell, 'tableCell')) }))
+    ]
+  };
+}
+
+// Jira Server/Data Center and REST API v2 take wiki markup instead of ADF
+const WIKI_COLORS = { neutral: 'gray', purple: 'purple', blue: 'blue', red: 'red', yellow: 'orange', green: 'green' };
+const WIKI_PANELS = { info: 'info', note: 'note', warning: 'warning', error: 'warning', success: 'tip' };
+
+// Wiki markup ignores *bold* with whitespace inside the markers
+function wrapWiki(value, open, close) {
+  const [, before, inner, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(value);
+  return inner ? `${before}${open}${inner}${close}${after}` : value;
+}
+
+function toWiki(node) {
+  if (!node) return '';
+  const children = (separator = '') => (node.content || []).map(toWiki).join(separator);
+
+  switch (node.type) {
+    case 'doc':
+      return children('\n\n');
+    case 'paragraph':
+      return children();
+    case 'text':
+      return (node.marks || []).reduce((value, mark) => {
+        if (mark.type === 'strong') return wrapWiki(value, '*', '*');
+        if (mark.type === 'link') return `[${value}|${mark.attrs.href}]`;
+        if (mark.type === 'textColor') return wrapWiki(value, `{color:${mark.attrs.color}}`, '{color}');
+        return value;
+      }, node.text);
+    case 'heading':
+      return `h${node.attrs.level}. ${children()}`;
+    case 'bulletList':
+      return node.content.map(item => `* ${toWiki(item)}`).join('\n');
+    case 'listItem':
+      return children(' ');
+    case 'codeBlock':
+      return `{code${node.attrs?.language ? `:${node.attrs.language}` : ''}}\n${children()}\n{code}`;
+    case 'status':
+      return `{color:${WIKI_COLORS[node.attrs.color] || 'gray'}}*[${node.attrs.text}]*{color}`;
+    case 'expand':
+      return `*${node.attrs.title}*\n${children('\n\n')}`;
+    case 'panel': {
+      const macro = WIKI_PANELS[node.attrs.panelType] || 'panel';
+      return `{${macro}}\n${children('\n\n')}\n{${macro}}`;
+    }
+    case 'table':
+      return children('\n');
+    case 'tableRow': {
+      const header = node.content[0]?.type === 'tableHeader';
+      const separator = header ? '||' : '|';
+      return `${separator}${node.content.map(toWiki).join(separator)}${separator}`;
+    }
+    case 'tableHeader':
+    case 'tableCell':
+      return children(' ').replace(/\|/g, '\\|').replace(/\n/g, ' ') || ' ';
+    case 'hardBreak':
+      return '\n';
+    default:
+      return children();
+  }
+}
+
+module.exports = {
+  clean,
+  doc,
+  text,
+  strong,
+  link,
+  colored,
+  paragraph,
+  heading,
+  field,
+  bulletList,
+  codeBlock,
+  status,
+  testStatus,
+  expand,
+  panel,
+  table,
+  toWiki
+};
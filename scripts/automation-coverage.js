@@ -0,0 +1,181 @@
+// scripts/automation-coverage.js
+// Coverage mode for TraceabilityMatrixSync: lists the Playwright suite with `playwright test --list`,
+// collects the Test IDs of every test and compares them with the matrix. Each synced test case gets an
+// "Automated: yes/no" flag in Jira.
+const axios = require('axios');
+const { execFile } = require('child_process');
+const path = require('path');
+const TestIdExtractor = require('../reporters/test-id-extractor');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Issue property holding { automated, tests, checkedAt } on every synced test case
+const AUTOMATED_PROPERTY = 'playwright.automated';
+
+class AutomationCoverage {
+  /**
+   * @param {TraceabilityMatrixSync} sync - matrix parsing, issue lookup and Jira config
+   * @param {object} options
+   * @param {object} [options.testIds] - same as the reporter's `testIds` option (sources, idPattern, ...)
+   * @param {string} [options.config] - Playwright config file, default the one Playwright finds
+   * @param {number} [options.timeout] - ms allowed for listing the suite, default 120000
+   */
+  constructor(sync, options = {}) {
+    this.sync = sync;
+    this.extractor = new TestIdExtractor(options.testIds);
+    this.config = options.config;
+    this.timeout = options.timeout || 120000;
+  }
+
+  async coverage(csvFile) {
+    const testCases = await this.sync.parseCsvFile(csvFile);
+    const matrixIds = new Set(testCases.map(testCase => testCase.testId));
+    const automated = this.collect(await this.listSuite());
+    console.log(`Found ${automated.size} Test IDs in the Playwright suite and ${matrixIds.size} in the matrix`);
+
+    const report = {
+      notAutomated: [...matrixIds].filter(testId => !automated.has(testId)).sort(),
+      notInMatrix: [...automated.keys()].filter(testId => !matrixIds.has(testId)).sort(),
+      duplicated: [...automated.entries()]
+        .filter(([, tests]) => new Set(tests.map(t => t.file)).size > 1)
+        .map(([testId, tests]) => ({ testId, tests }))
+        .sort((a, b) => a.testId.localeCompare(b.testId)),
+      flagged: [],
+      unsynced: [],
+      errors: []
+    };
+
+    this.print(report, testCases, automated);
+
+    await this.sync.verifyJiraConnection();
+    await mapWithConcurrency([...matrixIds], this.sync.concurrency, async testId => {
+      try {
+        await this.flag(testId, automated.get(testId) || [], report);
+      } catch (error) {
+        console.error(`Error flagging ${testId}:`, error.response?.data || error.message);
+        report.errors.push({ testId, error: error.message });
+      }
+    });
+
+    console.log(`\nAutomated flag updated on ${report.flagged.length} issues`);
+    if (report.unsynced.length > 0) {
+      console.log(`Not flagged, no Jira issue yet: ${report.unsynced.join(', ')} - run the sync first`);
+    }
+    if (report.errors.length > 0) {
+      console.log('\nErrors:');
+      report.errors.forEach(e => console.log(`  • ${e.testId}: ${e.error}`));
+    }
+    return report;
+  }
+
+  // JSON report of `npx playwright test --list`, without running anything
+  listSuite() {
+    const args = ['playwright', 'test', '--list', '--reporter=json'];
+    if (this.config) args.push('--config', this.config);
+
+    return new Promise((resolve, reject) => {
+      execFile('npx', args, { cwd: process.cwd(), timeout: this.timeout, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        // Playwright exits non-zero for "No tests found" but still prints the report
+        let report;
+        try {
+          report = JSON.parse(stdout);
+        } catch (parseError) {
+          reject(new Error(`playwright test --list failed: ${(stderr || error?.message || parseError.message).trim()}`));
+          return;
+        }
+        const fatal = (report.errors || []).filter(e => !/No tests found/.test(e.message));
+        if (fatal.length > 0) {
+          reject(new Error(`playwright test --list failed: ${fatal.map(e => e.message).join('; ')}`));
+          return;
+        }
+        resolve(report);
+      });
+    });
+  }
+
+  // Map of Test ID -> [{ title, file, line }], one entry per test whatever the number of projects
+  collect(report) {
+    const automated = new Map();
+    const seen = new Set();
+
+    const visit = (suite, parent) => {
+      // File suites have no 'describe' type, so the extractor skips them as it does in the reporter
+      const node = { title: suite.title, type: parent ? 'describe' : 'file', parent };
+      (suite.specs || []).forEach(spec => {
+        const location = `${spec.file}:${spec.line}`;
+        if (seen.has(location)) return;
+        seen.add(location);
+
+        const test = {
+          title: spec.title,
+          // The JSON reporter drops the '@' that tags carry in the reporter API
+          tags: (spec.tags || []).map(tag => `@${tag}`),
+          annotations: spec.tests?.[0]?.annotations || [],
+          parent: node
+        };
+        this.extractor.extract(test).forEach(testId => {
+          const tests = automated.get(testId) || [];
+          tests.push({ title: spec.title, file: spec.file, line: spec.line });
+          automated.set(testId, tests);
+        });
+      });
+      (suite.suites || []).forEach(child => visit(child, node));
+    };
+
+    (report.suites || []).forEach(suite => visit(suite, null));
+    return automated;
+  }
+
+  print(report, testCases, automated) {
+    const names = new Map(testCases.map(testCase => [testCase.testId, testCase.testName]));
+    const where = test => `${path.normalize(test.file)}:${test.line}`;
+
+    console.log('\nAUTOMATION COVERAGE');
+    console.log('==========================');
+    const covered = names.size - report.notAutomated.length;
+    console.log(`Automated: ${covered}/${names.size} matrix rows (${names.size ? Math.round(covered / names.size * 100) : 0}%)`);
+
+    console.log(`\nMatrix rows without an automated test (${report.notAutomated.length}):`);
+    report.notAutomated.forEach(testId => console.log(`  • ${testId}: ${names.get(testId)}`));
+
+    console.log(`\nAutomated tests without a matrix row (${report.notInMatrix.length}):`);
+    report.notInMatrix.forEach(testId => {
+      automated.get(testId).forEach(test => console.log(`  • ${testId}: ${test.title} (${where(test)})`));
+    });
+
+    console.log(`\nTest IDs used in more than one spec (${report.duplicated.length}):`);
+    report.duplicated.forEach(d => {
+      console.log(`  • ${d.testId}: ${d.tests.map(where).join(', ')}`);
+    });
+  }
+
+  // Sets the flag on the row's issue; unchanged flags are not written again, so `updated` stays put
+  async flag(testId, tests, report) {
+    const issue = await this.sync.findExistingIssue(testId);
+    if (!issue) {
+      report.unsynced.push(testId);
+      return;
+    }
+
+    const value = { automated: tests.length > 0, tests: tests.map(t => `${t.file}:${t.line}`) };
+    const current = await this.currentFlag(issue.key);
+    if (current && current.automated === value.automated && JSON.stringify(current.tests) === JSON.stringify(value.tests)) {
+      return;
+    }
+
+    await this.sync.setAutomated(issue.key, value, current?.automated !== value.automated);
+    report.flagged.push({ testId, key: issue.key, automated: value.automated });
+  }
+
+  async currentFlag(issueKey) {
+    try {
+      const response = await axios.get(`/rest/api/3/issue/${issueKey}/properties/${AUTOMATED_PROPERTY}`, this.sync.jiraConfig);
+      return response.data.value;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = AutomationCoverage;
+module.exports.AUTOMATED_PROPERTY = AUTOMATED_PROPERTY;
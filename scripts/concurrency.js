@@ -0,0 +1,26 @@
+// scripts/concurrency.js
+// Runs async work over a list with at most `limit` items in flight
+
+/**
+ * @param {Array} items
+ * @param {number} limit - maximum concurrent calls, at least 1
+ * @param {function(item, index): Promise} fn
+ * @returns {Promise<Array>} results in the order of `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
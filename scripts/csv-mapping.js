@@ -0,0 +1,197 @@
+// scripts/csv-mapping.js
+// Applies a column mapping (see sync-mapping.js) to traceability matrix rows
+const path = require('path');
+const adf = require('./adf');
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, 'sync-mapping.js');
+const TARGETS = ['testId', 'testName', 'field', 'label', 'description', 'requirement'];
+const FIELD_TYPES = ['string', 'number', 'name', 'option', 'names', 'options', 'array', 'user'];
+const SECTION_STYLES = ['field', 'text', 'code', 'status'];
+const TRANSFORMS = {
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase(),
+  trim: value => value.trim()
+};
+
+// Fields the sync always sets itself
+const RESERVED_FIELDS = ['project', 'summary', 'description', 'issuetype', 'labels'];
+
+function labelValue(value) {
+  return value.trim().replace(/\s+/g, '-');
+}
+
+class CsvMapping {
+  /**
+   * @param {object} config - see scripts/sync-mapping.js
+   */
+  constructor(config) {
+    const errors = CsvMapping.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid CSV mapping:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.issueType = config.issueType;
+    this.labels = config.labels || [];
+    this.descriptionTitle = config.descriptionTitle;
+    this.requirements = config.requirements || {};
+    this.automated = config.automated || {};
+    // [{ column, to, ... }] in config order, which is also the order of description sections
+    this.targets = Object.entries(config.columns)
+      .filter(([, targets]) => targets)
+      .flatMap(([column, targets]) => [].concat(targets).map(target => ({ column, ...target })));
+    this.idColumn = this.targets.find(t => t.to === 'testId').column;
+    this.nameColumn = this.targets.find(t => t.to === 'testName').column;
+  }
+
+  // Defaults from sync-mapping.js, with the file at customPath (relative to the working directory) on top
+  static load(customPath) {
+    let config = require(DEFAULT_MAPPING_PATH);
+
+    if (customPath) {
+      const resolved = path.resolve(process.cwd(), customPath);
+      let custom;
+      try {
+        custom = require(resolved);
+      } catch (error) {
+        throw new Error(`Unable to load CSV mapping from ${resolved}: ${error.message}`);
+      }
+      config = {
+        ...config,
+        ...custom,
+        requirements: { ...config.requirements, ...custom.requirements },
+        automated: { ...config.automated, ...custom.automated },
+        columns: { ...config.columns, ...custom.columns }
+      };
+    }
+
+    return new CsvMapping(config);
+  }
+
+  static validate(config) {
+    const errors = [];
+    if (!config.issueType || typeof config.issueType !== 'string') errors.push('issueType must be a non-empty string');
+    if (config.labels && !Array.isArray(config.labels)) errors.push('labels must be an array');
+    if (config.automated?.field && !['option', 'string'].includes(config.automated.type || 'option')) {
+      errors.push(`automated.type must be option or string (got ${JSON.stringify(config.automated.type)})`);
+    }
+    if (!config.columns || typeof config.columns !== 'object') return [...errors, 'columns must be an object'];
+
+    const counts = { testId: 0, testName: 0 };
+    Object.entries(config.columns).forEach(([column, targets]) => {
+      if (!targets) return;
+      [].concat(targets).forEach(target => {
+        const name = `columns['${column}']`;
+        if (!TARGETS.includes(target.to)) {
+          errors.push(`${name}.to must be one of ${TARGETS.join(', ')} (got ${JSON.stringify(target.to)})`);
+          return;
+        }
+        if (target.to in counts) counts[target.to]++;
+        if (target.to === 'field') {
+          if (!target.field) errors.push(`${name}.field is required`);
+          if (RESERVED_FIELDS.includes(target.field)) errors.push(`${name}.field cannot be ${target.field}, the sync sets it`);
+          if (target.type && !FIELD_TYPES.includes(target.type)) {
+            errors.push(`${name}.type must be one of ${FIELD_TYPES.join(', ')} (got ${JSON.stringify(target.type)})`);
+          }
+        }
+        if (target.to === 'description' && target.style && !SECTION_STYLES.includes(target.style)) {
+          errors.push(`${name}.style must be one of ${SECTION_STYLES.join(', ')} (got ${JSON.stringify(target.style)})`);
+        }
+        if (target.transform && !TRANSFORMS[target.transform]) {
+          errors.push(`${name}.transform must be one of ${Object.keys(TRANSFORMS).join(', ')}`);
+        }
+        if (target.map && typeof target.map !== 'object') errors.push(`${name}.map must be an object`);
+      });
+    });
+
+    if (counts.testId !== 1) errors.push('exactly one column must map to testId');
+    if (counts.testName !== 1) errors.push('exactly one column must map to testName');
+    return errors;
+  }
+
+  // { testId, testName, columns } or null when the row has no Test ID or name
+  parseRow(row) {
+    const testId = row[this.idColumn]?.trim();
+    const testName = row[this.nameColumn]?.trim();
+    if (!testId || !testName) return null;
+
+    const columns = {};
+    Object.keys(row).forEach(column => {
+      columns[column] = typeof row[column] === 'string' ? row[column].trim() : row[column];
+    });
+    return { testId, testName, columns };
+  }
+
+  // Cell value after default, map and transform; '' when there is nothing to send.
+  // `default` fills empty cells and, with a `map`, values the map does not know.
+  value(target, testCase) {
+    let value = testCase.columns[target.column] || '';
+    if (!value && target.default !== undefined) value = String(target.default);
+    if (value && target.map) {
+      value = target.map[value] ?? (target.default !== undefined ? String(target.default) : value);
+    }
+    if (value && target.transform) value = TRANSFORMS[target.transform](value);
+    return value;
+  }
+
+  // Jira `fields` for the mapped columns, e.g. { priority: { name: 'High' }, customfield_10050: { value: 'Ann' } }
+  fields(testCase) {
+    const fields = {};
+    this.targets.filter(t => t.to === 'field').forEach(target => {
+      const value = this.value(target, testCase);
+      if (value) fields[target.field] = this.fieldValue(target, value);
+    });
+    return fields;
+  }
+
+  fieldValue(target, value) {
+    const list = () => value.split(target.separator || ',').map(v => v.trim()).filter(Boolean);
+
+    switch (target.type || 'string') {
+      case 'number': return Number(value);
+      case 'name': return { name: value };
+      case 'option': return { value };
+      case 'names': return list().map(name => ({ name }));
+      case 'options': return list().map(v => ({ value: v }));
+      case 'array': return list();
+      case 'user': return { accountId: value };
+      default: return value;
+    }
+  }
+
+  labelsFor(testCase) {
+    const mapped = this.targets
+      .filter(t => t.to === 'label')
+      .flatMap(target => this.value(target, testCase).split(target.separator || ','))
+      .map(labelValue)
+      .filter(Boolean);
+    return [...new Set([...this.labels, ...mapped])];
+  }
+
+  // Requirement references of the row, e.g. ['VAL-12', 'Checkout flow']
+  requirementsFor(testCase) {
+    const references = this.targets
+      .filter(t => t.to === 'requirement')
+      .flatMap(target => this.value(target, testCase).split(target.separator || ','))
+      .map(reference => reference.trim())
+      .filter(Boolean);
+    return [...new Set(references)];
+  }
+
+  description(testCase) {
+    const sections = this.targets.filter(t => t.to === 'description').flatMap(target => {
+      const value = this.value(target, testCase);
+      const title = target.title || target.column;
+
+      switch (target.style || 'field') {
+        case 'text': return [adf.heading(3, title), adf.paragraph(value)];
+        case 'code': return [adf.heading(3, title), adf.codeBlock(value)];
+        case 'status': return value ? [adf.paragraph(adf.strong(`${title}: `), adf.status(value, 'blue'))] : [];
+        default: return [adf.field(title, value)];
+      }
+    });
+
+    return adf.doc(this.descriptionTitle && adf.heading(2, this.descriptionTitle), sections);
+  }
+}
+
+module.exports = CsvMapping;
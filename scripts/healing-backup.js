@@ -0,0 +1,133 @@
+// scripts/healing-backup.js
+// Backups of spec files edited by auto-healing, one directory per healing session
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST = 'manifest.json';
+
+class HealingBackup {
+  /**
+   * @param {object} options - the `backup` section of healing-config.js
+   * @param {boolean} [options.enabled] - keep on-disk copies, default true
+   * @param {string} [options.backupDir] - default './test-backups'
+   * @param {number} [options.keepBackups] - sessions kept on disk, default 5
+   * @param {string} [options.sessionId] - default derived from the current time
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.backupDir = path.resolve(options.backupDir || './test-backups');
+    this.keepBackups = options.keepBackups || 5;
+    this.sessionId = options.sessionId || new Date().toISOString().replace(/[:.]/g, '-');
+    this.manifest = null;
+  }
+
+  get sessionDir() {
+    return path.join(this.backupDir, this.sessionId);
+  }
+
+  // Call before every write to a spec file
+  backup(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!this.enabled) return null;
+
+    if (!this.manifest) {
+      this.rotate();
+      fs.mkdirSync(this.sessionDir, { recursive: true });
+      this.manifest = { sessionId: this.sessionId, createdAt: new Date().toISOString(), files: [] };
+    }
+
+    // The session keeps each file as it was before the session's first edit
+    const existing = this.manifest.files.find(f => f.original === absolutePath);
+    if (existing) return existing.backup;
+
+    const backupPath = path.join(this.sessionDir, this.backupName(absolutePath));
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.writeFileSync(backupPath, fs.readFileSync(absolutePath, 'utf8'), 'utf8');
+
+    this.manifest.files.push({ original: absolutePath, backup: backupPath });
+    fs.writeFileSync(path.join(this.sessionDir, MANIFEST), JSON.stringify(this.manifest, null, 2), 'utf8');
+
+    console.log(`Backed up ${absolutePath} to ${backupPath}`);
+    return backupPath;
+  }
+
+  // Mirrors the path relative to the project; files outside it keep only a flattened name
+  backupName(absolutePath) {
+    const relative = path.relative(process.cwd(), absolutePath);
+    return relative.startsWith('..') || path.isAbsolute(relative)
+      ? absolutePath.replace(/[^\w.-]+/g, '_')
+      : relative;
+  }
+
+  // Removes the oldest sessions, leaving room for the one about to be created
+  rotate() {
+    const sessions = this.listSessions();
+    const excess = sessions.length - (this.keepBackups - 1);
+    sessions.slice(0, Math.max(0, excess)).forEach(session => {
+      fs.rmSync(path.join(this.backupDir, session.sessionId), { recursive: true, force: true });
+      console.log(`Removed old healing backup: ${session.sessionId}`);
+    });
+  }
+
+  // Sessions with a manifest, oldest first
+  listSessions() {
+    if (!fs.existsSync(this.backupDir)) return [];
+
+    return fs.readdirSync(this.backupDir)
+      .map(name => path.join(this.backupDir, name, MANIFEST))
+      .filter(manifestPath => fs.existsSync(manifestPath))
+      .map(manifestPath => JSON.parse(fs.readFileSync(manifestPath, 'utf8')))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Puts back every file of a session as it was before healing; defaults to the latest session
+  restoreSession(sessionId) {
+    const sessions = this.listSessions();
+    const session = sessionId
+      ? sessions.find(s => s.sessionId === sessionId)
+      : sessions[sessions.length - 1];
+
+    if (!session) {
+      throw new Error(sessionId ? `Healing session not found: ${sessionId}` : 'No healing backups found');
+    }
+
+    session.files.forEach(file => {
+      fs.copyFileSync(file.backup, file.original);
+      console.log(`Restored ${file.original}`);
+    });
+
+    return session;
+  }
+}
+
+// CLI usage
+function main() {
+  const [command = 'list', sessionId] = process.argv.slice(2);
+  const healingConfig = require('./healing-config');
+  const backup = new HealingBackup(healingConfig.backup);
+
+  try {
+    if (command === 'list') {
+      const sessions = backup.listSessions();
+      if (sessions.length === 0) console.log('No healing backups found');
+      sessions.forEach(s => console.log(`${s.sessionId}  (${s.files.length} files)`));
+    } else if (command === 'restore') {
+      const session = backup.restoreSession(sessionId);
+      console.log(`Restored ${session.files.length} files from healing session ${session.sessionId}`);
+    } else {
+      console.log('Usage: node scripts/healing-backup.js [list | restore [session-id]]');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Restore failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for use as module
+module.exports = HealingBackup;
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -8,6 +8,16 @@ module.exports = {
     maxRetries: 3,
     debugTimeout: 120000, // 2 minutes
     rerunTimeout: 90000,   // 1.5 minutes
+    concurrency: 2, // Tests healed at once, each in its own copy of the test directory
+    timeBudget: 1800000, // 30 minutes for all healing, 0 for no limit; tests not started by then are not attempted
+    mode: 'apply', // 'apply' keeps passing fixes in the spec files, 'propose' only writes them as patches
+  },
+
+  // Proposal settings (mode: 'propose')
+  proposals: {
+    patchDir: './healing-patches',
+    createBranch: false, // Commit validated fixes on a local branch per run
+    branchPrefix: 'auto-heal/'
   },
   
   // Healing strategies configuration
@@ -15,47 +25,23 @@ module.exports = {
     timeout: {
       enabled: true,
       defaultTimeout: 60000,
-      navigationTimeout: 60000,
-      fixes: [
-        'increase_test_timeout',
-        'add_wait_conditions',
-        'optimize_selectors',
-        'add_retry_logic'
-      ]
+      navigationTimeout: 60000
     },
     
     selector: {
       enabled: true,
       addExactMatching: true,
-      addFirstSelector: true,
-      fixes: [
-        'add_exact_matching',
-        'improve_specificity',
-        'add_unique_locators',
-        'use_data_testid'
-      ]
+      addFirstSelector: true
     },
     
     element_missing: {
       enabled: true,
-      addWaitConditions: true,
-      fixes: [
-        'update_selectors',
-        'add_wait_for_element',
-        'check_page_structure',
-        'add_element_presence_check'
-      ]
+      addWaitConditions: true
     },
     
     navigation: {
       enabled: true,
-      addNetworkIdle: false, // Discouraged by Playwright
-      fixes: [
-        'add_retry_logic',
-        'increase_navigation_timeout',
-        'add_load_state_wait',
-        'improve_error_handling'
-      ]
+      addNetworkIdle: false // Discouraged by Playwright
     }
   },
   
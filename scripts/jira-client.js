@@ -0,0 +1,194 @@
+// scripts/jira-client.js
+// Shared Jira connection for the reporter, the sync and the outbox replay: credentials, API version,
+// retries with backoff and structured request logs. Callers keep using axios with `client.config`.
+const axios = require('axios');
+const adf = require('./adf');
+require('dotenv').config();
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+const SECRET_KEYS = /^(authorization|cookie|password|.*secret|.*(api|access|auth)[-_]?(token|key))$/i;
+const REDACTED = '[REDACTED]';
+// 429 and 503 mean the request was not processed; other 5xx are only retried when repeating is harmless
+const ALWAYS_RETRY = [429, 503];
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete', 'options'];
+
+class JiraClient {
+  /**
+   * Reads JIRA_BASE_URL and either JIRA_EMAIL + JIRA_API_TOKEN (Cloud) or JIRA_PAT (Data Center/Server).
+   *
+   * @param {object} options - the reporter's `jira` option
+   * @param {string} [options.name] - named in the missing-variables error
+   * @param {string} [options.authType] - 'basic' or 'bearer', default JIRA_AUTH_TYPE, else 'bearer' when JIRA_PAT is set
+   * @param {number} [options.apiVersion] - 2 or 3, default JIRA_API_VERSION, else 2 for bearer and 3 for basic
+   * @param {number} [options.maxRetries] - retries on 429/5xx, default 3
+   * @param {number} [options.retryDelay] - first backoff in ms, doubled per retry, default 1000
+   * @param {number} [options.maxRetryDelay] - cap on a single wait in ms, default 30000
+   * @param {string} [options.logLevel] - debug | info | warn | error | off, default JIRA_LOG_LEVEL or 'warn'
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || process.env.JIRA_BASE_URL;
+    this.authType = (options.authType || process.env.JIRA_AUTH_TYPE || (process.env.JIRA_PAT ? 'bearer' : 'basic')).toLowerCase();
+    this.apiVersion = Number(options.apiVersion || process.env.JIRA_API_VERSION || (this.authType === 'bearer' ? 2 : 3));
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
+    this.logLevel = options.logLevel || process.env.JIRA_LOG_LEVEL || 'warn';
+
+    if (!['basic', 'bearer'].includes(this.authType)) {
+      throw new Error(`Unknown Jira auth type: ${this.authType} (use basic or bearer)`);
+    }
+    if (![2, 3].includes(this.apiVersion)) {
+      throw new Error(`Unknown Jira API version: ${this.apiVersion} (use 2 or 3)`);
+    }
+
+    const required = this.authType === 'bearer'
+      ? ['JIRA_BASE_URL', process.env.JIRA_PAT ? 'JIRA_PAT' : 'JIRA_API_TOKEN']
+      : ['JIRA_BASE_URL', 'JIRA_EMAIL', 'JIRA_API_TOKEN'];
+    const missing = required.filter(key => !(key === 'JIRA_BASE_URL' ? this.baseURL : process.env[key]));
+    if (missing.length > 0) {
+      throw new Error(
+        `Missing required environment variables${options.name ? ` for ${options.name}` : ''}: ${missing.join(', ')}`
+      );
+    }
+
+    const credentials = this.authType === 'bearer'
+      ? process.env.JIRA_PAT || process.env.JIRA_API_TOKEN
+      : Buffer.from(`${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`).toString('base64');
+    // Values masked wherever they appear in a log line
+    this.secrets = [credentials, process.env.JIRA_API_TOKEN, process.env.JIRA_PAT].filter(Boolean);
+
+    const send = axios.getAdapter(axios.defaults.adapter);
+    this.config = {
+      baseURL: this.baseURL,
+      headers: {
+        'Authorization': `${this.authType === 'bearer' ? 'Bearer' : 'Basic'} ${credentials}`,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      adapter: config => this.dispatch(config, send)
+    };
+  }
+
+  async dispatch(config, send) {
+    const request = this.apiVersion === 2 ? this.toV2(config) : config;
+    const method = (request.method || 'get').toLowerCase();
+
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      this.log('debug', 'jira.request', { method, url: request.url, attempt, params: request.params, body: this.describeBody(request.data) });
+
+      try {
+        const response = await send(request);
+        this.log('debug', 'jira.response', { method, url: request.url, attempt, status: response.status, durationMs: Date.now() - started });
+        return this.apiVersion === 2 ? this.fromV2(config, response) : response;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = ALWAYS_RETRY.includes(status) || (status >= 500 && IDEMPOTENT_METHODS.includes(method));
+        const details = {
+          method,
+          url: request.url,
+          attempt,
+          status: status || error.code,
+          durationMs: Date.now() - started,
+          response: this.describeBody(error.response?.data)
+        };
+
+        if (!retryable || attempt > this.maxRetries) {
+          this.log('warn', 'jira.failed', details);
+          throw error;
+        }
+
+        const delay = this.backoff(attempt, error.response.headers?.['retry-after']);
+        this.log('warn', 'jira.retry', { ...details, retryInMs: delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Retry-After (seconds or an HTTP date) wins; otherwise retryDelay doubled per attempt, with jitter
+  backoff(attempt, retryAfter) {
+    let delay;
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    }
+    if (!(delay >= 0)) {
+      delay = this.retryDelay * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+    }
+    return Math.round(Math.min(delay, this.maxRetryDelay));
+  }
+
+  // Callers speak v3; for v2 the path changes and ADF bodies become wiki markup
+  toV2(config) {
+    let url = config.url.replace(/^\/rest\/api\/3\//, '/rest/api/2/');
+    let params = config.params;
+
+    // v2 has no /search/jql: it pages with startAt, which the nextPageToken carries as a number
+    if (url.startsWith('/rest/api/2/search/jql')) {
+      url = url.replace('/search/jql', '/search');
+      const { nextPageToken, ...rest } = params || {};
+      params = { ...rest, startAt: nextPageToken ? Number(nextPageToken) : 0 };
+    }
+
+    let data = config.data;
+    if (typeof data === 'string' && data.includes('"type":"doc"')) {
+      data = JSON.stringify(JSON.parse(data), (key, value) =>
+        value && value.type === 'doc' && value.version === 1 ? adf.toWiki(value) : value
+      );
+    }
+
+    return { ...config, url, params, data };
+  }
+
+  fromV2(config, response) {
+    if (!/\/search\/jql/.test(config.url) || typeof response.data !== 'string') return response;
+
+    const data = JSON.parse(response.data);
+    const next = (data.startAt || 0) + (data.issues || []).length;
+    const isLast = next >= (data.total || 0) || (data.issues || []).length === 0;
+    return {
+      ...response,
+      data: JSON.stringify({ ...data, isLast, nextPageToken: isLast ? undefined : String(next) })
+    };
+  }
+
+  describeBody(data) {
+    if (data === undefined || data === null || data === '') return undefined;
+    if (typeof FormData !== 'undefined' && data instanceof FormData) return '[multipart]';
+    let value = data;
+    if (typeof data === 'string') {
+      try {
+        value = JSON.parse(data);
+      } catch (error) {
+        value = data;
+      }
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(this.redact(value));
+    return text.length > 2000 ? `${text.substring(0, 2000)}...` : text;
+  }
+
+  // Masks secret-looking keys and known credential values
+  redact(value) {
+    if (Array.isArray(value)) return value.map(v => this.redact(v));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, SECRET_KEYS.test(key) ? REDACTED : this.redact(v)]));
+    }
+    if (typeof value === 'string') {
+      return this.secrets.reduce((str, secret) => str.split(secret).join(REDACTED), value);
+    }
+    return value;
+  }
+
+  // One JSON line per event
+  log(level, event, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.logLevel)) return;
+    const line = JSON.stringify(this.redact({ time: new Date().toISOString(), level, event, ...fields }));
+    if (level === 'warn' || level === 'error') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+module.exports = JiraClient;
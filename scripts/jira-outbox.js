@@ -0,0 +1,323 @@
+// scripts/jira-outbox.js
+// Spools Jira writes to a local outbox when Jira is unreachable (or always, in offline mode) and replays
+// them later in order. Issues created while spooled get a placeholder key, e.g. "{outbox:000003}", that
+// later requests can use and that replay swaps for the real key.
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const TestCaseLookup = require('./test-case-lookup');
+const JiraClient = require('./jira-client');
+require('dotenv').config();
+
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED', 'EHOSTUNREACH'];
+// {outbox:000003} refers to an issue created by a spooled request; {testcase:VAL-001} to a test case issue
+const PLACEHOLDER_PATTERN = /\{(outbox|testcase):([^}]+)\}/g;
+const LEDGER_FILE = 'sent.json';
+
+class JiraOutbox {
+  /**
+   * @param {object} options - the reporter's `outbox` option
+   * @param {boolean} [options.enabled] - spool writes that fail because Jira is unreachable, default true
+   * @param {string} [options.dir] - default './jira-outbox'
+   * @param {boolean} [options.offline] - spool every write without trying Jira, default JIRA_OFFLINE === 'true'
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.dir = path.resolve(options.dir || './jira-outbox');
+    this.offline = this.enabled && (options.offline ?? process.env.JIRA_OFFLINE === 'true');
+    this.nextSeq = null;
+    this.spooled = 0;
+  }
+
+  // Routes every request made with this axios config through the outbox
+  install(jiraConfig) {
+    if (!this.enabled) return jiraConfig;
+    const send = axios.getAdapter(jiraConfig.adapter || axios.defaults.adapter);
+    jiraConfig.adapter = config => this.dispatch(config, send);
+    return jiraConfig;
+  }
+
+  // Errors worth spooling for: no connection, Jira down or throttling. Other 4xx would fail on replay too.
+  isUnreachable(error) {
+    if (error.code === 'JIRA_OFFLINE') return true;
+    if (!error.response) return NETWORK_ERRORS.includes(error.code);
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  testCaseRef(testId) {
+    return `{testcase:${testId}}`;
+  }
+
+  async dispatch(config, send) {
+    const method = (config.method || 'get').toLowerCase();
+    if (method === 'get') {
+      if (!this.offline) return send(config);
+      const error = new Error(`Jira offline mode: cannot read ${config.url}`);
+      error.code = 'JIRA_OFFLINE';
+      throw error;
+    }
+
+    // A request pointing at a spooled issue cannot be sent before that issue exists
+    const references = this.hasPlaceholder(config.url) || this.hasPlaceholder(config.data);
+    if (this.offline || references) return this.spool(config);
+
+    try {
+      return await send(config);
+    } catch (error) {
+      if (!this.isUnreachable(error)) throw error;
+      // A POST that got an error response may have been processed anyway: replaying it could create a duplicate
+      if (method === 'post' && error.response) throw error;
+      console.warn(`Jira unreachable (${error.response?.status || error.code}), spooling ${method.toUpperCase()} ${config.url}`);
+      return this.spool(config);
+    }
+  }
+
+  hasPlaceholder(value) {
+    return typeof value === 'string' && new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+  }
+
+  sequence() {
+    if (this.nextSeq === null) {
+      const last = this.entryFiles().map(f => parseInt(f, 10)).pop() || 0;
+      const ledger = this.loadLedger();
+      this.nextSeq = Math.max(last, ledger.lastSeq || 0) + 1;
+    }
+    return String(this.nextSeq++).padStart(6, '0');
+  }
+
+  entryFiles() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(f => /^\d+-[0-9a-f]+\.json$/.test(f)).sort();
+  }
+
+  // Writes the request to <dir>/<seq>-<hash>.json and answers the caller as if Jira had accepted it
+  async spool(config) {
+    // Take the sequence number before any await so concurrent requests keep their order
+    const seq = this.sequence();
+    const data = await this.serialize(config.data);
+    const headers = {};
+    ['Content-Type', 'X-Atlassian-Token'].forEach(name => {
+      const value = config.headers?.[name] ?? config.headers?.get?.(name);
+      if (value) headers[name] = String(value);
+    });
+
+    const entry = {
+      seq,
+      method: config.method.toUpperCase(),
+      url: config.url,
+      params: config.params,
+      headers,
+      data,
+      spooledAt: new Date().toISOString()
+    };
+    entry.hash = this.hash(entry);
+
+    // A payload waiting in the outbox is not spooled again; once replayed, the same write may be spooled anew
+    const duplicate = this.entryFiles().find(f => f.endsWith(`-${entry.hash}.json`));
+    if (duplicate) {
+      return this.spooledResponse(config, duplicate.split('-')[0]);
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${seq}-${entry.hash}.json`), JSON.stringify(entry, null, 2), 'utf8');
+    this.spooled++;
+    return this.spooledResponse(config, seq);
+  }
+
+  spooledResponse(config, seq) {
+    const placeholder = `{outbox:${seq}}`;
+    return {
+      // Attachment uploads answer with a list of attachments; everything else with the created entity
+      data: /\/attachments$/.test(config.url) ? [] : { id: placeholder, key: placeholder, spooled: true },
+      status: 202,
+      statusText: 'Spooled',
+      headers: {},
+      config,
+      request: null
+    };
+  }
+
+  // JSON bodies are kept readable; multipart bodies (attachments) are stored part by part in base64
+  async serialize(data) {
+    if (data instanceof FormData) {
+      const parts = [];
+      for (const [name, value] of data.entries()) {
+        if (typeof value === 'string') {
+          parts.push({ name, value });
+        } else {
+          const buffer = Buffer.from(await value.arrayBuffer());
+          parts.push({ name, fileName: value.name, contentType: value.type, base64: buffer.toString('base64') });
+        }
+      }
+      return { form: parts };
+    }
+    if (typeof data === 'string') {
+      try {
+        return { json: JSON.parse(data) };
+      } catch (error) {
+        return { text: data };
+      }
+    }
+    return data === undefined ? null : { json: data };
+  }
+
+  deserialize(data) {
+    if (!data) return undefined;
+    if (data.form) {
+      const form = new FormData();
+      data.form.forEach(part => {
+        if ('value' in part) {
+          form.append(part.name, part.value);
+        } else {
+          form.append(part.name, new Blob([Buffer.from(part.base64, 'base64')], { type: part.contentType }), part.fileName);
+        }
+      });
+      return form;
+    }
+    return data.json ?? data.text;
+  }
+
+  hash(entry) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([entry.method, entry.url, entry.params || null, entry.data]))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  // Entry files sent but not yet removed, and the real keys behind placeholders
+  loadLedger() {
+    try {
+      return { sent: {}, refs: {}, ...JSON.parse(fs.readFileSync(path.join(this.dir, LEDGER_FILE), 'utf8')) };
+    } catch (error) {
+      return { sent: {}, refs: {} };
+    }
+  }
+
+  saveLedger(ledger) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, LEDGER_FILE), JSON.stringify(ledger, null, 2), 'utf8');
+  }
+
+  list() {
+    return this.entryFiles().map(f => JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8')));
+  }
+
+  /**
+   * Sends the outbox in order with the given Jira config. Replay stops at the first request Jira
+   * rejects or cannot take, so later requests never overtake it; run it again to continue.
+   */
+  async replay(jiraConfig, projectKey) {
+    const lookup = new TestCaseLookup(jiraConfig, projectKey);
+    const ledger = this.loadLedger();
+    const summary = { sent: 0, skipped: 0, remaining: 0 };
+    const files = this.entryFiles();
+
+    for (let i = 0; i < files.length; i++) {
+      const file = path.join(this.dir, files[i]);
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      ledger.lastSeq = Math.max(ledger.lastSeq || 0, parseInt(entry.seq, 10));
+
+      if (ledger.sent[files[i]]) {
+        console.log(`Skipping ${entry.method} ${entry.url}: already sent`);
+        fs.unlinkSync(file);
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const resolved = await this.resolve(entry, ledger.refs, lookup);
+        if (!resolved) {
+          ledger.sent[files[i]] = { seq: entry.seq, skipped: true, at: new Date().toISOString() };
+          this.saveLedger(ledger);
+          fs.unlinkSync(file);
+          summary.skipped++;
+          continue;
+        }
+
+        const response = await axios.request({
+          ...jiraConfig,
+          method: entry.method,
+          url: resolved.url,
+          params: entry.params,
+          data: this.deserialize(resolved.data),
+          headers: { ...jiraConfig.headers, ...entry.headers }
+        });
+
+        // Recorded before the file is removed: an interrupted replay skips it instead of posting it again
+        ledger.sent[files[i]] = { seq: entry.seq, key: response.data?.key, at: new Date().toISOString() };
+        if (response.data?.key) ledger.refs[entry.seq] = response.data.key;
+        this.saveLedger(ledger);
+        fs.unlinkSync(file);
+        summary.sent++;
+        console.log(`Sent ${entry.method} ${resolved.url}${response.data?.key ? ` -> ${response.data.key}` : ''}`);
+      } catch (error) {
+        console.error(`Replay stopped at ${files[i]}:`, error.response?.data || error.message);
+        summary.remaining = files.length - i;
+        break;
+      }
+    }
+
+    // Only entries whose file is still there need remembering
+    const remaining = this.entryFiles();
+    ledger.sent = Object.fromEntries(Object.entries(ledger.sent).filter(([name]) => remaining.includes(name)));
+    this.saveLedger(ledger);
+    return summary;
+  }
+
+  // Swaps placeholders for real keys; null when a referenced issue does not exist
+  async resolve(entry, refs, lookup) {
+    const values = {};
+    const text = JSON.stringify([entry.url, entry.data]);
+
+    for (const [placeholder, type, ref] of text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (placeholder in values) continue;
+      if (type === 'outbox') {
+        values[placeholder] = refs[ref];
+      } else {
+        values[placeholder] = (await lookup.findIssue(ref))?.key;
+      }
+      if (!values[placeholder]) {
+        console.log(`Skipping ${entry.method} ${entry.url}: ${type === 'outbox' ? 'spooled issue' : 'test case'} ${ref} was not created`);
+        return null;
+      }
+    }
+
+    const [url, data] = JSON.parse(text.replace(PLACEHOLDER_PATTERN, placeholder => values[placeholder]));
+    return { url, data };
+  }
+}
+
+// CLI usage
+async function main() {
+  const [command = 'list', dir] = process.argv.slice(2);
+  const outbox = new JiraOutbox({ dir });
+
+  try {
+    if (command === 'list') {
+      const entries = outbox.list();
+      if (entries.length === 0) console.log(`Outbox ${outbox.dir} is empty`);
+      entries.forEach(e => console.log(`${e.seq}  ${e.spooledAt}  ${e.method} ${e.url}`));
+    } else if (command === 'replay') {
+      const jiraClient = new JiraClient();
+      const summary = await outbox.replay(jiraClient.config, process.env.JIRA_PROJECT_KEY || 'SCRUM');
+      console.log(`Replay finished: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.remaining} remaining`);
+      if (summary.remaining > 0) process.exit(1);
+    } else {
+      console.log('Usage: node scripts/jira-outbox.js [list | replay] [outbox-dir]');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for use as module
+module.exports = JiraOutbox;
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
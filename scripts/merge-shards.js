@@ -0,0 +1,62 @@
+// scripts/merge-shards.js
+// Merges the results files of a sharded run into one Jira execution, with healing on the merged failures.
+// Use it when the shards ran on separate machines: collect their shard-results directories first.
+const JiraReporter = require('../reporters/jira-reporter');
+const ShardResults = require('../reporters/shard-results');
+require('dotenv').config();
+
+const USAGE = 'Usage: node scripts/merge-shards.js [run-id] [--dir shard-results-dir] [--partial]';
+
+// CLI usage
+async function main() {
+  const args = process.argv.slice(2);
+  const dirIndex = args.indexOf('--dir');
+  const dir = dirIndex >= 0 ? args.splice(dirIndex, 2)[1] : undefined;
+  const partial = args.includes('--partial');
+  let runId = args.filter(a => a !== '--partial')[0];
+
+  const shardResults = new ShardResults({ dir });
+  if (!runId) {
+    const runs = shardResults.runs();
+    if (runs.length !== 1) {
+      console.error(runs.length === 0 ? `No shard results in ${shardResults.dir}` : `Several runs to merge: ${runs.join(', ')}`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+    runId = runs[0];
+  }
+
+  const { shards, missing } = shardResults.load(runId);
+  if (shards.length === 0) {
+    console.error(`No shard results for run ${runId} in ${shardResults.dir}`);
+    process.exit(1);
+  }
+  if (missing.length > 0 && !partial) {
+    console.error(`Run ${runId} is missing shards ${missing.join(', ')} - wait for them or pass --partial`);
+    process.exit(1);
+  }
+  if (!shardResults.claimMerge(runId, { partial })) {
+    console.error(`Run ${runId} is already being merged`);
+    process.exit(1);
+  }
+
+  try {
+    // The reporter options of the shards, with the directory the results were found in
+    const options = shards[0].options || {};
+    const reporter = new JiraReporter({ ...options, shards: { ...options.shards, dir: shardResults.dir, runId } });
+    await reporter.finishMergedRun(runId);
+    if (reporter.outbox.spooled > 0) {
+      console.log(`${reporter.outbox.spooled} Jira requests spooled to ${reporter.outbox.dir} - send them with: npm run jira-replay`);
+    }
+    console.log('Jira sync completed!');
+  } catch (error) {
+    shardResults.release(runId);
+    console.error('Merge failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
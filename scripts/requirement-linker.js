@@ -0,0 +1,183 @@
+// scripts/requirement-linker.js
+// Resolves the requirement references of a traceability row (issue keys or issue names) to Jira issues
+// and links the test case to them: test case "tests" requirement, requirement "is tested by" test case
+const axios = require('axios');
+
+class RequirementLinker {
+  /**
+   * @param {object} jiraConfig - axios config with baseURL and auth headers
+   * @param {string} projectKey - names are looked up in this project
+   * @param {TestCaseLookup} testCaseLookup - used for paginated searches
+   * @param {object} options - `requirements` in the CSV mapping
+   * @param {string} [options.linkType] - link type name, default 'Tests'
+   * @param {string} [options.keyPattern] - references matching this are issue keys, others are names
+   * @param {string[]} [options.issueTypes] - issue types a name may resolve to, default any but the test case type
+   * @param {boolean} [options.setParent] - make the requirement's epic the test case's parent, default false
+   * @param {string} [options.parentField] - 'parent' (default) or the Epic Link custom field on Data Center
+   * @param {string} testIssueType - issue type of the test cases, never a requirement
+   */
+  constructor(jiraConfig, projectKey, testCaseLookup, options = {}, testIssueType) {
+    this.jiraConfig = jiraConfig;
+    this.projectKey = projectKey;
+    this.testCaseLookup = testCaseLookup;
+    this.linkType = options.linkType || 'Tests';
+    this.keyPattern = new RegExp(options.keyPattern || '^[A-Z][A-Z0-9_]*(-[A-Z0-9_]+)*-\\d+$');
+    this.issueTypes = options.issueTypes || [];
+    this.setParent = options.setParent === true;
+    this.parentField = options.parentField || 'parent';
+    this.testIssueType = testIssueType;
+    this.cache = new Map();
+    this.linkTypeLookup = null;
+  }
+
+  // Finds the configured link type once, also when rows are linked concurrently
+  resolveLinkType() {
+    if (!this.linkTypeLookup) {
+      this.linkTypeLookup = this.fetchLinkType().catch(error => {
+        this.linkTypeLookup = null;
+        throw error;
+      });
+    }
+    return this.linkTypeLookup;
+  }
+
+  // The configured link type's name; null (and a warning) when Jira has no such type
+  async fetchLinkType() {
+    const response = await axios.get('/rest/api/3/issueLinkType', this.jiraConfig);
+    const wanted = this.linkType.toLowerCase();
+    const type = (response.data.issueLinkTypes || []).find(t =>
+      t.name.toLowerCase() === wanted || t.outward?.toLowerCase() === wanted
+    );
+
+    if (!type) {
+      console.warn(
+        `Issue link type '${this.linkType}' not found - requirements are resolved but not linked. ` +
+        `Create it (outward 'tests', inward 'is tested by') or set requirements.linkType in the CSV mapping.`
+      );
+    }
+    return type ? type.name : null;
+  }
+
+  // Returns { key, summary, issuetype, epic } or { error } for one reference, cached per reference
+  resolve(reference) {
+    if (!this.cache.has(reference)) {
+      const lookup = this.keyPattern.test(reference) ? this.fetchByKey(reference) : this.findByName(reference);
+      this.cache.set(reference, lookup.catch(error => ({
+        error: `lookup failed: ${error.response?.data?.errorMessages?.join(', ') || error.message}`
+      })));
+    }
+    return this.cache.get(reference);
+  }
+
+  async fetchByKey(key) {
+    try {
+      const response = await axios.get(`/rest/api/3/issue/${encodeURIComponent(key)}`, {
+        ...this.jiraConfig,
+        params: { fields: 'summary,issuetype,parent' }
+      });
+      return this.describe(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) return { error: 'no issue with this key' };
+      throw error;
+    }
+  }
+
+  async findByName(name) {
+    const escape = value => value.replace(/["\\]/g, '\\$&');
+    const clauses = [`project = "${this.projectKey}"`, `summary ~ "\\"${escape(name)}\\""`];
+    if (this.issueTypes.length > 0) {
+      clauses.push(`issuetype in (${this.issueTypes.map(t => `"${escape(t)}"`).join(', ')})`);
+    } else if (this.testIssueType) {
+      clauses.push(`issuetype != "${escape(this.testIssueType)}"`);
+    }
+
+    const issues = await this.testCaseLookup.searchAll(clauses.join(' AND '), { fields: 'summary,issuetype,parent' });
+    // Summary search is full-text: prefer the exact title, else accept a single hit
+    const exact = issues.filter(i => i.fields.summary?.trim().toLowerCase() === name.toLowerCase());
+    const candidates = exact.length > 0 ? exact : issues;
+
+    if (candidates.length === 0) return { error: 'no issue with this summary' };
+    if (candidates.length > 1) {
+      return { error: `ambiguous, matches ${candidates.slice(0, 5).map(i => i.key).join(', ')}` };
+    }
+    return this.describe(candidates[0]);
+  }
+
+  describe(issue) {
+    const isEpic = type => type && (type.hierarchyLevel === 1 || type.name === 'Epic');
+    const parent = issue.fields.parent;
+    return {
+      key: issue.key,
+      summary: issue.fields.summary,
+      issuetype: issue.fields.issuetype?.name,
+      epic: isEpic(issue.fields.issuetype) ? issue.key : isEpic(parent?.fields?.issuetype) ? parent.key : null
+    };
+  }
+
+  /**
+   * Links the test case to every resolvable reference.
+   * @returns {Promise<{ linked: string[], unresolved: { requirement, reason }[] }>}
+   */
+  async link(issueKey, references, { dryRun = false } = {}) {
+    const result = { linked: [], unresolved: [] };
+    if (references.length === 0) return result;
+
+    const resolved = [];
+    for (const reference of references) {
+      const requirement = await this.resolve(reference);
+      if (requirement.error) {
+        result.unresolved.push({ requirement: reference, reason: requirement.error });
+      } else if (!resolved.some(r => r.key === requirement.key)) {
+        // A key and a name can point at the same issue
+        resolved.push(requirement);
+      }
+    }
+    if (resolved.length === 0) return result;
+
+    if (dryRun) {
+      console.log(`[DRY RUN] Would link ${issueKey} to ${resolved.map(r => r.key).join(', ')}`);
+      result.linked = resolved.map(r => r.key);
+      return result;
+    }
+
+    const linkType = await this.resolveLinkType();
+    if (linkType) {
+      const existing = await this.linkedKeys(issueKey, linkType);
+      for (const requirement of resolved) {
+        if (!existing.has(requirement.key)) {
+          // The inward issue reads with the outward description: test case "tests" requirement
+          await axios.post('/rest/api/3/issueLink', {
+            type: { name: linkType },
+            inwardIssue: { key: issueKey },
+            outwardIssue: { key: requirement.key }
+          }, this.jiraConfig);
+          console.log(`Linked ${issueKey} tests ${requirement.key}`);
+        }
+        result.linked.push(requirement.key);
+      }
+    }
+
+    const epic = resolved.find(r => r.epic)?.epic;
+    if (this.setParent && epic) {
+      const value = this.parentField === 'parent' ? { key: epic } : epic;
+      await axios.put(`/rest/api/3/issue/${issueKey}`, { fields: { [this.parentField]: value } }, this.jiraConfig);
+      console.log(`Set parent of ${issueKey} to ${epic}`);
+    }
+
+    return result;
+  }
+
+  // Keys already linked to the test case with this link type, in either direction
+  async linkedKeys(issueKey, linkType) {
+    const response = await axios.get(`/rest/api/3/issue/${issueKey}`, {
+      ...this.jiraConfig,
+      params: { fields: 'issuelinks' }
+    });
+    return new Set((response.data.fields.issuelinks || [])
+      .filter(link => link.type?.name === linkType)
+      .map(link => (link.outwardIssue || link.inwardIssue)?.key)
+      .filter(Boolean));
+  }
+}
+
+module.exports = RequirementLinker;
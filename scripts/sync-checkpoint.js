@@ -0,0 +1,52 @@
+// scripts/sync-checkpoint.js
+// Remembers which rows of a CSV were already synced, so an interrupted sync resumes where it stopped
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class SyncCheckpoint {
+  /**
+   * @param {string} file - checkpoint file
+   * @param {string} csvFilePath - the checkpoint only applies to this exact CSV content
+   */
+  constructor(file, csvFilePath) {
+    this.file = path.resolve(file);
+    this.csvHash = crypto.createHash('sha1').update(fs.readFileSync(csvFilePath)).digest('hex');
+    this.done = this.load();
+  }
+
+  load() {
+    try {
+      const checkpoint = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (checkpoint.csvHash === this.csvHash) return checkpoint.done || {};
+      console.log(`Ignoring checkpoint ${this.file}: it belongs to a different version of the CSV`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Unable to read checkpoint ${this.file}:`, error.message);
+    }
+    return {};
+  }
+
+  // Fully synced, including requirement links
+  isComplete(testId) {
+    return this.done[testId]?.complete === true;
+  }
+
+  // Entries with a key but not complete: created before the crash, still to be finished
+  unfinished() {
+    return Object.entries(this.done)
+      .filter(([, entry]) => !entry.complete && entry.key)
+      .map(([testId, entry]) => ({ testId, ...entry }));
+  }
+
+  // Written on every call: a crash right after a create must not lose the new key
+  record(testId, action, key, complete = true) {
+    this.done[testId] = { action, key, complete };
+    fs.writeFileSync(this.file, JSON.stringify({ csvHash: this.csvHash, done: this.done }, null, 2), 'utf8');
+  }
+
+  clear() {
+    fs.rmSync(this.file, { force: true });
+  }
+}
+
+module.exports = SyncCheckpoint;
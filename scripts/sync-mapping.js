@@ -0,0 +1,68 @@
+// sync-mapping.js
+// How traceability matrix columns become Jira fields, for sync-traceability-to-jira.js.
+// Point the sync at your own file with `--mapping <file>` or SYNC_MAPPING; it is merged over this one
+// column by column, and a column set to null is dropped.
+
+module.exports = {
+  // Issue type of new test cases; 'Test' if your project has it
+  issueType: 'Story',
+
+  // Labels on every synced issue, next to the Test ID label
+  labels: ['automated-test', 'playwright'],
+
+  // Top heading of the generated description
+  descriptionTitle: 'Test Information',
+
+  // Columns mapped to 'requirement' are linked: test case "tests" requirement
+  requirements: {
+    linkType: 'Tests', // needs a link type with outward 'tests' and inward 'is tested by'
+    keyPattern: '^[A-Z][A-Z0-9_]*(-[A-Z0-9_]+)*-\\d+$', // e.g. VAL-12, VAL-STORY-12; anything else is an issue name
+    issueTypes: [], // issue types a name may match, e.g. ['Story', 'Epic']; empty = any but issueType
+    setParent: false, // make the requirement's epic the test case's parent
+    parentField: 'parent' // Data Center: the Epic Link custom field, e.g. 'customfield_10014'
+  },
+
+  // "Automated: yes/no" flag written by the coverage command. It is always kept in the
+  // playwright.automated issue property; set `field` to show it in a custom field as well.
+  automated: {
+    field: null, // e.g. 'customfield_10070'
+    type: 'option', // 'option' for a select list ({ value }), 'string' for a text field
+    yes: 'Yes',
+    no: 'No'
+  },
+
+  // CSV column -> target, or a list of targets. Targets:
+  //   { to: 'testId' } / { to: 'testName' }   - identify the test case and make up "<Test ID>: <Test Name>"
+  //   { to: 'field', field, type }            - system field (priority, components, ...) or custom field (customfield_10050)
+  //   { to: 'label' }                         - one label per value split on `separator` (spaces become '-')
+  //   { to: 'description', style, title }     - a description section; style 'field', 'text', 'code' or 'status'
+  //   { to: 'requirement' }                   - issue keys or issue names split on `separator`, linked as requirements
+  // Field types: string (default), number, name ({ name }), option ({ value }), names, options and array
+  // (lists split on `separator`, default ','), user ({ accountId }).
+  // Every target can set `default` for empty cells, `map` to translate values and `transform`
+  // ('lowercase', 'uppercase' or 'trim').
+  columns: {
+    'Test ID': { to: 'testId' },
+    'Test Name': { to: 'testName' },
+    'Requirement/Feature': [{ to: 'description', style: 'field' }, { to: 'requirement' }],
+    'Test Method': { to: 'description', style: 'field' },
+    'POM Methods Used': { to: 'description', style: 'code' },
+    'Verification Points': { to: 'description', style: 'text' },
+    'Status': { to: 'description', style: 'status', default: 'To Do' },
+    'Priority': [
+      {
+        to: 'field',
+        field: 'priority',
+        type: 'name',
+        default: 'Medium',
+        map: { High: 'High', Medium: 'Medium', Low: 'Low', Critical: 'Highest', Minor: 'Lowest' }
+      },
+      { to: 'label', default: 'Medium', transform: 'lowercase' }
+    ]
+
+    // Examples for extra columns:
+    // 'Component': { to: 'field', field: 'components', type: 'names' },
+    // 'Sprint': { to: 'field', field: 'customfield_10020', type: 'number' }, // sprint ID
+    // 'Automation Owner': { to: 'field', field: 'customfield_10050', type: 'option' },
+  }
+};
@@ -0,0 +1,275 @@
+// scripts/sync-plan.js
+// Plan mode for TraceabilityMatrixSync: compares each CSV row with its Jira issue, prints a field-level
+// diff and saves the exact requests to a JSON plan. Applying the plan later sends those requests as reviewed.
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const adf = require('./adf');
+
+const PLAN_VERSION = 2;
+const SYMBOLS = { create: '+', update: '~', noop: '=', skip: '-', error: '!' };
+
+class SyncPlanner {
+  /**
+   * @param {TraceabilityMatrixSync} sync - builds the payloads and sends them on apply
+   */
+  constructor(sync) {
+    this.sync = sync;
+  }
+
+  async plan(csvFile, planFile) {
+    await this.sync.verifyJiraConnection();
+    const testCases = await this.sync.parseCsvFile(csvFile);
+
+    // Later rows with the same Test ID win, as they would in a direct sync
+    const byTestId = new Map();
+    testCases.forEach(testCase => {
+      if (byTestId.has(testCase.testId)) {
+        console.warn(`${testCase.testId} appears more than once in the CSV, the last row is planned`);
+      }
+      byTestId.set(testCase.testId, testCase);
+    });
+
+    const operations = [];
+    for (const testCase of byTestId.values()) {
+      try {
+        operations.push(await this.planTestCase(testCase));
+      } catch (error) {
+        console.error(`Error planning ${testCase.testId}:`, error.response?.data || error.message);
+        operations.push({ testId: testCase.testId, action: 'error', error: error.message, changes: [] });
+      }
+    }
+
+    const plan = {
+      version: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      projectKey: this.sync.projectKey,
+      csvFile: path.resolve(csvFile),
+      operations
+    };
+
+    fs.writeFileSync(planFile, JSON.stringify(plan, null, 2), 'utf8');
+    this.print(plan);
+    console.log(`\nPlan written to ${planFile} - review it, then run: npm run sync-to-jira-apply -- ${planFile}`);
+    return plan;
+  }
+
+  async planTestCase(testCase) {
+    const references = this.sync.mapping.requirementsFor(testCase);
+    const requirements = [];
+    for (const reference of references) {
+      const requirement = await this.sync.requirementLinker.resolve(reference);
+      requirements.push(requirement.error ? { reference, error: requirement.error } : { reference, key: requirement.key });
+    }
+
+    const base = { testId: testCase.testId, summary: `${testCase.testId}: ${testCase.testName}`, requirements };
+    const existing = await this.sync.findExistingIssue(testCase.testId);
+
+    if (!existing) {
+      const payload = this.sync.createPayload(testCase);
+      return { ...base, action: 'create', changes: this.diff({}, { fields: payload.fields }), payload };
+    }
+    if (!this.sync.updateExisting) {
+      return { ...base, action: 'skip', key: existing.key, changes: [] };
+    }
+
+    const payload = this.sync.updatePayload(testCase);
+    const current = await this.fetchIssue(existing.key, [...Object.keys(payload.fields), 'labels']);
+    const changes = this.diff(current.fields, payload);
+    return {
+      ...base,
+      action: changes.length > 0 ? 'update' : 'noop',
+      key: existing.key,
+      // Apply refuses the update when any of these changed after this
+      before: this.snapshot(current.fields, payload),
+      changes,
+      payload
+    };
+  }
+
+  async fetchIssue(key, fields) {
+    const response = await axios.get(`/rest/api/3/issue/${key}`, {
+      ...this.sync.jiraConfig,
+      params: { fields: fields.join(',') }
+    });
+    return response.data;
+  }
+
+  /**
+   * The values an update payload overwrites: field -> displayed value, the description by section.
+   * Labels are left out, the update only adds them. Comments and other fields the sync does not
+   * write (e.g. the reporter's results) can change freely between plan and apply.
+   */
+  snapshot(current, payload) {
+    const values = {};
+    Object.keys(payload.fields).forEach(field => {
+      if (field === 'project' || field === 'issuetype') return;
+      if (field === 'description' && current.description && typeof current.description !== 'string') {
+        Object.entries(this.sections(current.description)).forEach(([name, text]) => {
+          values[`description: ${name}`] = text;
+        });
+        return;
+      }
+      values[field] = this.display(current[field]);
+    });
+    return values;
+  }
+
+  // Names of the snapshot values that differ
+  edited(before, after) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(name => (before[name] ?? null) !== (after[name] ?? null));
+  }
+
+  // [{ field, from, to }] for what the payload would change on an issue with these fields
+  diff(current, payload) {
+    const changes = [];
+
+    Object.entries(payload.fields).forEach(([field, value]) => {
+      if (field === 'project' || field === 'issuetype') return;
+      if (field === 'description') {
+        changes.push(...this.diffDescription(current.description, value));
+        return;
+      }
+      const from = this.display(current[field]);
+      const to = this.display(value);
+      if (from !== to) changes.push({ field, from, to });
+    });
+
+    const added = (payload.update?.labels || []).map(op => op.add).filter(label => !(current.labels || []).includes(label));
+    if (added.length > 0) {
+      changes.push({ field: 'labels', from: this.display(current.labels), to: this.display([...(current.labels || []), ...added]) });
+    }
+
+    return changes;
+  }
+
+  diffDescription(current, desired) {
+    // Data Center (API v2) returns wiki markup; compare it as one text
+    if (typeof current === 'string') {
+      const to = adf.toWiki(desired);
+      return current.trim() === to.trim() ? [] : [{ field: 'description', from: current, to }];
+    }
+
+    const from = this.sections(current);
+    const to = this.sections(desired);
+    return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+      .filter(name => (from[name] || null) !== (to[name] || null))
+      .map(name => ({ field: `description: ${name}`, from: from[name] || null, to: to[name] || null }));
+  }
+
+  // Splits a description into named sections: "Label: value" paragraphs, and the content under each heading
+  sections(description) {
+    const sections = {};
+    let name = '(intro)';
+
+    (description?.content || []).forEach(node => {
+      const first = node.content?.[0];
+      if (node.type === 'heading') {
+        name = adf.toWiki({ type: 'paragraph', content: node.content });
+      } else if (node.type === 'paragraph' && first?.marks?.some(m => m.type === 'strong') && /:\s*$/.test(first.text)) {
+        sections[first.text.replace(/:\s*$/, '')] = adf.toWiki({ type: 'paragraph', content: node.content.slice(1) }).trim();
+      } else {
+        sections[name] = [sections[name], adf.toWiki(node)].filter(Boolean).join('\n');
+      }
+    });
+
+    return sections;
+  }
+
+  // Field values as text: { name }, { value }, users and lists are reduced to what a reviewer reads
+  display(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (Array.isArray(value)) return value.map(v => this.display(v)).sort().join(', ') || null;
+    if (typeof value === 'object') {
+      return String(value.name ?? value.value ?? value.accountId ?? value.key ?? value.id ?? JSON.stringify(value));
+    }
+    return String(value);
+  }
+
+  print(plan) {
+    console.log('\nSYNC PLAN');
+    console.log('==========================');
+
+    plan.operations.forEach(op => {
+      const target = op.key ? ` (${op.key})` : '';
+      console.log(`${SYMBOLS[op.action]} ${op.action} ${op.testId}${target}${op.error ? `: ${op.error}` : ''}`);
+      op.changes.forEach(change => {
+        const short = value => (value === null ? '(empty)' : JSON.stringify(value.length > 80 ? `${value.substring(0, 77)}...` : value));
+        console.log(`    ${change.field}: ${short(change.from)} -> ${short(change.to)}`);
+      });
+      (op.requirements || []).filter(r => r.error).forEach(r => {
+        console.log(`    requirement '${r.reference}' unresolved: ${r.error}`);
+      });
+    });
+
+    const count = action => plan.operations.filter(op => op.action === action).length;
+    console.log(`\nCreate: ${count('create')}, Update: ${count('update')}, No change: ${count('noop')}, ` +
+      `Skip: ${count('skip')}, Errors: ${count('error')}`);
+  }
+
+  static load(planFile) {
+    const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    if (plan.version !== PLAN_VERSION || !Array.isArray(plan.operations)) {
+      throw new Error(`${planFile} is not a sync plan (version ${PLAN_VERSION})`);
+    }
+    return plan;
+  }
+
+  /**
+   * Sends the planned requests. A create is skipped when the test case appeared in Jira since the plan,
+   * an update when a field or description section it overwrites was edited since the plan, unless `force` is set.
+   */
+  async apply(plan, { force = false } = {}) {
+    if (plan.projectKey !== this.sync.projectKey) {
+      throw new Error(`Plan is for project ${plan.projectKey}, but JIRA_PROJECT_KEY is ${this.sync.projectKey}`);
+    }
+
+    const results = { created: [], updated: [], skipped: [], errors: [], unresolved: [] };
+    const testCase = op => ({ testId: op.testId });
+
+    for (const op of plan.operations) {
+      try {
+        let key = null;
+
+        if (op.action === 'create') {
+          const existing = await this.sync.findExistingIssue(op.testId);
+          if (existing && !force) {
+            console.log(`Skipping ${op.testId}: created as ${existing.key} since the plan`);
+            results.skipped.push({ testId: op.testId, key: existing.key });
+            continue;
+          }
+          key = (await this.sync.createJiraIssue(testCase(op), op.payload)).key;
+          results.created.push({ testId: op.testId, key });
+        } else if (op.action === 'update') {
+          const current = await this.fetchIssue(op.key, Object.keys(op.payload.fields));
+          const edited = this.edited(op.before, this.snapshot(current.fields, op.payload));
+          if (edited.length > 0 && !force) {
+            console.log(`Skipping ${op.testId}: ${edited.join(', ')} of ${op.key} edited since the plan (use --force to apply anyway)`);
+            results.skipped.push({ testId: op.testId, key: op.key });
+            continue;
+          }
+          await this.sync.updateJiraIssue(op.key, testCase(op), op.payload);
+          key = op.key;
+          results.updated.push({ testId: op.testId, key });
+        } else if (op.action === 'noop') {
+          key = op.key;
+        } else {
+          results.skipped.push({ testId: op.testId, key: op.key });
+        }
+
+        if (key && op.requirements?.length > 0) {
+          await this.sync.linkRequirements(key, op.testId, op.requirements.map(r => r.reference), results);
+        }
+      } catch (error) {
+        console.error(`Error applying ${op.testId}:`, error.message);
+        results.errors.push({ testId: op.testId, error: error.message });
+      }
+    }
+
+    this.sync.printSummary(results);
+    return results;
+  }
+}
+
+module.exports = SyncPlanner;
@@ -0,0 +1,320 @@
+// scripts/sync-reconcile.js
+// Reconcile mode for TraceabilityMatrixSync: lists every sync-managed test case issue in the project and
+// reports orphans (no CSV row any more), missing issues (CSV rows never synced) and drift (issues edited
+// in Jira so they no longer match their row). Orphans can be labelled or archived; drift can be
+// overwritten from the CSV or accepted into it.
+const axios = require('axios');
+const fs = require('fs');
+const csv = require('csv-parser');
+const SyncPlanner = require('./sync-plan');
+const TestCaseLookup = require('./test-case-lookup');
+const { mapWithConcurrency } = require('./concurrency');
+const { TEST_CASE_PROPERTY, testIdLabel } = TestCaseLookup;
+
+const ORPHAN_ACTIONS = ['report', 'label', 'archive'];
+const DRIFT_ACTIONS = ['report', 'overwrite', 'accept'];
+// Most issues /rest/api/3/issue/archive accepts per call
+const ARCHIVE_LIMIT = 1000;
+
+class SyncReconciler {
+  /**
+   * @param {TraceabilityMatrixSync} sync - mapping, payloads and Jira config
+   * @param {object} options
+   * @param {string} [options.orphans] - 'report' (default), 'label' or 'archive'
+   * @param {string} [options.orphanLabel] - label for 'label', default 'orphaned-test-case'
+   * @param {string} [options.drift] - 'report' (default), 'overwrite' (CSV wins) or 'accept' (Jira wins, CSV is rewritten)
+   */
+  constructor(sync, options = {}) {
+    this.sync = sync;
+    this.planner = new SyncPlanner(sync);
+    this.orphans = options.orphans || 'report';
+    this.orphanLabel = options.orphanLabel || 'orphaned-test-case';
+    this.drift = options.drift || 'report';
+
+    if (!ORPHAN_ACTIONS.includes(this.orphans)) {
+      throw new Error(`Unknown orphan action '${this.orphans}' (use ${ORPHAN_ACTIONS.join(', ')})`);
+    }
+    if (!DRIFT_ACTIONS.includes(this.drift)) {
+      throw new Error(`Unknown drift action '${this.drift}' (use ${DRIFT_ACTIONS.join(', ')})`);
+    }
+  }
+
+  async reconcile(csvFile) {
+    await this.sync.verifyJiraConnection();
+    const testCases = new Map((await this.sync.parseCsvFile(csvFile)).map(testCase => [testCase.testId, testCase]));
+    const managed = await this.managedIssues();
+    console.log(`Found ${managed.size} sync-managed test cases in ${this.sync.projectKey} and ${testCases.size} in the CSV`);
+
+    const report = { orphans: [], missing: [], drift: [], errors: [] };
+    const matched = [];
+
+    managed.forEach((issues, testId) => {
+      // Several issues for one Test ID: the one the sync updates is kept, the others are orphans too
+      const kept = testCases.has(testId) ? this.sync.testCaseLookup.pickMatch(testId, issues) : null;
+      issues.filter(issue => issue.key !== kept?.key).forEach(issue => {
+        report.orphans.push({
+          testId,
+          key: issue.key,
+          summary: issue.fields.summary,
+          reason: kept ? `duplicate of ${kept.key}` : 'no CSV row',
+          labelled: (issue.fields.labels || []).includes(this.orphanLabel)
+        });
+      });
+      if (kept) matched.push({ testCase: testCases.get(testId), key: kept.key });
+    });
+
+    testCases.forEach((testCase, testId) => {
+      if (!managed.has(testId)) report.missing.push({ testId, testName: testCase.testName });
+    });
+
+    await mapWithConcurrency(matched, this.sync.concurrency, async ({ testCase, key }) => {
+      try {
+        const payload = this.sync.updatePayload(testCase);
+        const current = await this.planner.fetchIssue(key, [...Object.keys(payload.fields), 'labels']);
+        const changes = this.planner.diff(current.fields, payload);
+        if (changes.length > 0) report.drift.push({ testId: testCase.testId, key, changes, testCase });
+      } catch (error) {
+        console.error(`Error comparing ${testCase.testId} with ${key}:`, error.response?.data || error.message);
+        report.errors.push({ testId: testCase.testId, error: error.message });
+      }
+    });
+    report.drift.sort((a, b) => a.testId.localeCompare(b.testId));
+
+    this.print(report);
+    await this.resolveOrphans(report);
+    await this.resolveDrift(report, csvFile);
+
+    if (report.errors.length > 0) {
+      console.log('\nErrors:');
+      report.errors.forEach(e => console.log(`  • ${e.testId}: ${e.error}`));
+    }
+    return report;
+  }
+
+  // Map of Test ID -> issues of the test case issue type that the sync created or adopted
+  async managedIssues() {
+    const escape = value => value.replace(/["\\]/g, '\\$&');
+    const jql = `project = "${this.sync.projectKey}" AND issuetype = "${escape(this.sync.mapping.issueType)}" ORDER BY key ASC`;
+    const issues = await this.sync.testCaseLookup.searchAll(jql, {
+      fields: 'summary,labels',
+      properties: TEST_CASE_PROPERTY
+    });
+
+    const managed = new Map();
+    issues.forEach(issue => {
+      const testId = this.testIdOf(issue);
+      if (testId) managed.set(testId, [...(managed.get(testId) || []), issue]);
+    });
+    return managed;
+  }
+
+  // The Test ID property, or for issues synced before it existed a "VAL-001: ..." summary with a matching label
+  testIdOf(issue) {
+    const property = issue.properties?.[TEST_CASE_PROPERTY]?.testId;
+    if (property) return property;
+
+    const prefix = /^([^:\s]+):\s/.exec(issue.fields?.summary || '')?.[1];
+    return prefix && (issue.fields.labels || []).includes(testIdLabel(prefix)) ? prefix : null;
+  }
+
+  print(report) {
+    console.log('\nRECONCILE REPORT');
+    console.log('==========================');
+
+    console.log(`\nOrphans (${report.orphans.length}):`);
+    report.orphans.forEach(o => {
+      console.log(`  • ${o.key} ${o.testId}: ${o.reason}${o.labelled ? ` (already labelled ${this.orphanLabel})` : ''}`);
+    });
+
+    console.log(`\nMissing in Jira (${report.missing.length}):`);
+    report.missing.forEach(m => console.log(`  • ${m.testId}: ${m.testName}`));
+
+    console.log(`\nDrift (${report.drift.length}):`);
+    report.drift.forEach(d => {
+      console.log(`  • ${d.testId} (${d.key})`);
+      d.changes.forEach(change => {
+        const short = value => (value === null ? '(empty)' : JSON.stringify(value.length > 80 ? `${value.substring(0, 77)}...` : value));
+        console.log(`      ${change.field}: Jira ${short(change.from)}, CSV ${short(change.to)}`);
+      });
+    });
+
+    if (report.missing.length > 0) {
+      console.log('\nRun the sync to create the missing test cases.');
+    }
+  }
+
+  async resolveOrphans(report) {
+    const orphans = report.orphans.filter(o => this.orphans === 'archive' || !o.labelled);
+    if (this.orphans === 'report' || orphans.length === 0) return;
+
+    if (this.sync.dryRun) {
+      orphans.forEach(o => console.log(`[DRY RUN] Would ${this.orphans} orphan ${o.key}`));
+      return;
+    }
+
+    if (this.orphans === 'label') {
+      await mapWithConcurrency(orphans, this.sync.concurrency, async orphan => {
+        try {
+          await axios.put(`/rest/api/3/issue/${orphan.key}`, {
+            update: { labels: [{ add: this.orphanLabel }] }
+          }, this.sync.jiraConfig);
+          console.log(`Labelled orphan ${orphan.key} ${this.orphanLabel}`);
+        } catch (error) {
+          console.error(`Error labelling ${orphan.key}:`, error.response?.data || error.message);
+          report.errors.push({ testId: orphan.testId, error: `label ${orphan.key}: ${error.message}` });
+        }
+      });
+      return;
+    }
+
+    await this.archive(orphans, report);
+  }
+
+  // Cloud archives in bulk (Premium and Enterprise only); Data Center archives one issue at a time
+  async archive(orphans, report) {
+    if (this.sync.jiraClient.apiVersion === 2) {
+      for (const orphan of orphans) {
+        try {
+          await axios.put(`/rest/api/3/issue/${orphan.key}/archive`, null, this.sync.jiraConfig);
+          console.log(`Archived orphan ${orphan.key}`);
+        } catch (error) {
+          console.error(`Error archiving ${orphan.key}:`, error.response?.data || error.message);
+          report.errors.push({ testId: orphan.testId, error: `archive ${orphan.key}: ${error.message}` });
+        }
+      }
+      return;
+    }
+
+    for (let i = 0; i < orphans.length; i += ARCHIVE_LIMIT) {
+      const batch = orphans.slice(i, i + ARCHIVE_LIMIT);
+      try {
+        const response = await axios.put('/rest/api/3/issue/archive', {
+          issueIdsOrKeys: batch.map(o => o.key)
+        }, this.sync.jiraConfig);
+
+        // Issues Jira refused are listed per reason: { errors: { <reason>: { issueIdsOrKeys, message } } }
+        const refused = new Map();
+        Object.values(response.data?.errors || {}).forEach(e => {
+          (e.issueIdsOrKeys || []).forEach(key => refused.set(key, e.message));
+        });
+        batch.forEach(orphan => {
+          if (refused.has(orphan.key)) {
+            console.error(`Error archiving ${orphan.key}:`, refused.get(orphan.key));
+            report.errors.push({ testId: orphan.testId, error: `archive ${orphan.key}: ${refused.get(orphan.key)}` });
+          } else {
+            console.log(`Archived orphan ${orphan.key}`);
+          }
+        });
+      } catch (error) {
+        console.error('Error archiving orphans:', error.response?.data || error.message);
+        batch.forEach(o => report.errors.push({ testId: o.testId, error: `archive ${o.key}: ${error.message}` }));
+      }
+    }
+  }
+
+  async resolveDrift(report, csvFile) {
+    if (this.drift === 'report' || report.drift.length === 0) return;
+
+    if (this.drift === 'overwrite') {
+      await mapWithConcurrency(report.drift, this.sync.concurrency, async d => {
+        try {
+          await this.sync.updateJiraIssue(d.key, d.testCase);
+        } catch (error) {
+          report.errors.push({ testId: d.testId, error: `overwrite ${d.key}: ${error.message}` });
+        }
+      });
+      return;
+    }
+
+    await this.accept(report, csvFile);
+  }
+
+  // Writes the Jira values back into the CSV cells they came from
+  async accept(report, csvFile) {
+    const { headers, rows } = await this.readRows(csvFile);
+    const idColumn = this.sync.mapping.idColumn;
+    let accepted = 0;
+
+    report.drift.forEach(d => {
+      d.changes.forEach(change => {
+        const cell = this.cellFor(change);
+        if (cell.error) {
+          console.warn(`Cannot accept ${change.field} of ${d.testId}: ${cell.error}`);
+          report.errors.push({ testId: d.testId, error: `accept ${change.field}: ${cell.error}` });
+          return;
+        }
+        if (!headers.includes(cell.column)) headers.push(cell.column);
+        rows.filter(row => row[idColumn]?.trim() === d.testId).forEach(row => {
+          row[cell.column] = cell.value;
+        });
+        accepted++;
+      });
+    });
+
+    if (accepted === 0) return;
+    if (this.sync.dryRun) {
+      console.log(`[DRY RUN] Would write ${accepted} accepted Jira values to ${csvFile}`);
+      return;
+    }
+    fs.writeFileSync(csvFile, this.toCsv(headers, rows), 'utf8');
+    console.log(`Accepted ${accepted} Jira values into ${csvFile}`);
+  }
+
+  // { column, value } of the CSV cell that produces this Jira value, or { error }
+  cellFor(change) {
+    const { mapping } = this.sync;
+    const value = change.from ?? '';
+
+    if (change.field === 'summary') {
+      const name = value.replace(/^[^:]*:\s*/, '');
+      return name ? { column: mapping.nameColumn, value: name } : { error: 'summary has no test name' };
+    }
+    if (change.field === 'labels') {
+      return { error: 'labels are only ever added by the sync' };
+    }
+
+    const section = /^description: (.*)$/.exec(change.field)?.[1];
+    const target = section
+      ? mapping.targets.find(t => t.to === 'description' && (t.title || t.column) === section)
+      : mapping.targets.find(t => t.to === 'field' && t.field === change.field);
+    if (!target) {
+      return { error: section || change.field !== 'description' ? 'no CSV column maps to it' : 'plain-text descriptions cannot be split into columns' };
+    }
+    if (target.transform && target.transform !== 'trim') {
+      return { error: `column '${target.column}' is transformed (${target.transform})` };
+    }
+
+    let cell = value;
+    if (section && target.style === 'code') cell = value.replace(/^\{code(:[^}]*)?\}\n?|\n?\{code\}$/g, '');
+    if (section && target.style === 'status') cell = /\*\[(.*)\]\*/.exec(value)?.[1] ?? value;
+    if (!section && ['names', 'options', 'array'].includes(target.type)) cell = value.split(', ').join(target.separator || ',');
+    if (target.map) {
+      const original = Object.keys(target.map).find(key => target.map[key] === cell);
+      if (original !== undefined) cell = original;
+    }
+    return { column: target.column, value: cell };
+  }
+
+  readRows(csvFile) {
+    return new Promise((resolve, reject) => {
+      let headers = [];
+      const rows = [];
+      fs.createReadStream(csvFile)
+        .pipe(csv())
+        .on('headers', h => { headers = h; })
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve({ headers, rows }))
+        .on('error', reject);
+    });
+  }
+
+  toCsv(headers, rows) {
+    const quote = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows.map(row => headers.map(h => row[h]))].map(line => line.map(quote).join(',')).join('\n') + '\n';
+  }
+}
+
+module.exports = SyncReconciler;
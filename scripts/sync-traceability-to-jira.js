@@ -2,38 +2,48 @@
 const fs = require('fs');
 const csv = require('csv-parser');
 const axios = require('axios');
+const TestCaseLookup = require('./test-case-lookup');
+const JiraClient = require('./jira-client');
+const CsvMapping = require('./csv-mapping');
+const RequirementLinker = require('./requirement-linker');
+const SyncPlanner = require('./sync-plan');
+const SyncReconciler = require('./sync-reconcile');
+const AutomationCoverage = require('./automation-coverage');
+const SyncCheckpoint = require('./sync-checkpoint');
+const { mapWithConcurrency } = require('./concurrency');
+const { TEST_CASE_PROPERTY, testIdLabel } = TestCaseLookup;
 require('dotenv').config();
 
-class TraceabilityMatrixSync {
-  constructor() {
-    // Validate required environment variables
-    const requiredEnv = [
-      { key: 'JIRA_BASE_URL', value: process.env.JIRA_BASE_URL },
-      { key: 'JIRA_EMAIL', value: process.env.JIRA_EMAIL },
-      { key: 'JIRA_API_TOKEN', value: process.env.JIRA_API_TOKEN }
-    ];
-    
-    const missing = requiredEnv.filter(e => !e.value).map(e => e.key);
-    if (missing.length > 0) {
-      throw new Error(
-        `Missing required environment variables: ${missing.join(', ')}`
-      );
-    }
+// Most issues /rest/api/3/issue/bulk accepts per call
+const BULK_CREATE_LIMIT = 50;
 
-    this.jiraConfig = {
-      baseURL: process.env.JIRA_BASE_URL,
-      headers: {
-        'Authorization': `Basic ${Buffer.from(
-          `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
-        ).toString('base64')}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    };
+class TraceabilityMatrixSync {
+  /**
+   * @param {object} options
+   * @param {string} [options.mapping] - CSV mapping file merged over sync-mapping.js, default SYNC_MAPPING
+   * @param {number} [options.concurrency] - rows processed at once, default SYNC_CONCURRENCY or 5
+   * @param {string} [options.checkpoint] - progress file for resuming, default SYNC_CHECKPOINT or './sync-checkpoint.json'
+   */
+  constructor(options = {}) {
+    // Credentials, API version, retries on 429/5xx and request logging
+    this.jiraClient = new JiraClient();
+    this.jiraConfig = this.jiraClient.config;
     
     this.projectKey = process.env.JIRA_PROJECT_KEY || 'VAL';
     this.dryRun = process.env.DRY_RUN === 'true';
     this.updateExisting = process.env.UPDATE_EXISTING !== 'false';
+    this.concurrency = Number(options.concurrency || process.env.SYNC_CONCURRENCY) || 5;
+    this.checkpointFile = options.checkpoint || process.env.SYNC_CHECKPOINT || './sync-checkpoint.json';
+    this.testCaseLookup = new TestCaseLookup(this.jiraConfig, this.projectKey);
+    // Which CSV columns become which Jira fields, labels and description sections
+    this.mapping = CsvMapping.load(options.mapping || process.env.SYNC_MAPPING);
+    this.requirementLinker = new RequirementLinker(
+      this.jiraConfig,
+      this.projectKey,
+      this.testCaseLookup,
+      this.mapping.requirements,
+      this.mapping.issueType
+    );
   }
 
   async syncTraceabilityMatrix(csvFilePath) {
@@ -49,11 +59,18 @@ class TraceabilityMatrixSync {
       const testCases = await this.parseCsvFile(csvFilePath);
       console.log(`Found ${testCases.length} test cases to sync`);
       
-      // Sync each test case
-      const results = await this.syncTestCases(testCases);
+      // Sync each test case; progress is checkpointed so a crashed run can resume
+      const checkpoint = this.dryRun ? null : new SyncCheckpoint(this.checkpointFile, csvFilePath);
+      const results = await this.syncTestCases(testCases, checkpoint);
       
       // Print summary
       this.printSummary(results);
+
+      if (checkpoint && results.errors.length === 0) {
+        checkpoint.clear();
+      } else if (checkpoint) {
+        console.log(`Checkpoint kept in ${checkpoint.file} - run the sync again to retry the failed rows`);
+      }
       
     } catch (error) {
       console.error('Sync failed:', error.message);
@@ -61,6 +78,28 @@ class TraceabilityMatrixSync {
     }
   }
 
+  /**
+   * Compares the CSV with every sync-managed issue in the project: orphans, missing issues and drift.
+   * @param {string} csvFilePath
+   * @param {object} [options] - orphans ('report', 'label', 'archive'), orphanLabel, drift ('report', 'overwrite', 'accept')
+   */
+  async reconcile(csvFilePath, options = {}) {
+    console.log(`Reconciling ${csvFilePath} with Jira project: ${this.projectKey}`);
+    console.log(`Dry run mode: ${this.dryRun ? 'ENABLED' : 'DISABLED'}`);
+    return new SyncReconciler(this, options).reconcile(csvFilePath);
+  }
+
+  /**
+   * Compares the matrix with the Test IDs found in the Playwright suite and flags each test case as automated or not.
+   * @param {string} csvFilePath
+   * @param {object} [options] - testIds (as in the reporter), config (Playwright config file)
+   */
+  async coverage(csvFilePath, options = {}) {
+    console.log(`Checking automation coverage of ${csvFilePath}`);
+    console.log(`Dry run mode: ${this.dryRun ? 'ENABLED' : 'DISABLED'}`);
+    return new AutomationCoverage(this, options).coverage(csvFilePath);
+  }
+
   async verifyJiraConnection() {
     try {
       console.log('Testing Jira connection...');
@@ -68,7 +107,6 @@ class TraceabilityMatrixSync {
       // Test: Get project info
       const projectResponse = await axios.get(`/rest/api/3/project/${this.projectKey}`, this.jiraConfig);
       console.log(`Connected to Jira project: ${projectResponse.data.name}`);
-      console.log(`Note: Search functionality disabled due to endpoint limitations`);
       
       return projectResponse.data;
     } catch (error) {
@@ -87,21 +125,13 @@ class TraceabilityMatrixSync {
         .pipe(csv())
         .on('data', (row) => {
           // Validate required fields
-          if (!row['Test ID'] || !row['Test Name']) {
-            console.warn(`Skipping row with missing Test ID or Test Name:`, row);
+          const testCase = this.mapping.parseRow(row);
+          if (!testCase) {
+            console.warn(`Skipping row with missing ${this.mapping.idColumn} or ${this.mapping.nameColumn}:`, row);
             return;
           }
           
-          testCases.push({
-            testId: row['Test ID'].trim(),
-            testName: row['Test Name'].trim(),
-            requirement: row['Requirement/Feature']?.trim() || '',
-            testMethod: row['Test Method']?.trim() || '',
-            pomMethods: row['POM Methods Used']?.trim() || '',
-            verificationPoints: row['Verification Points']?.trim() || '',
-            status: row['Status']?.trim() || 'To Do',
-            priority: row['Priority']?.trim() || 'Medium'
-          });
+          testCases.push(testCase);
         })
         .on('end', () => {
           console.log(`Parsed ${testCases.length} test cases from CSV`);
@@ -111,75 +141,237 @@ class TraceabilityMatrixSync {
     });
   }
 
-  async syncTestCases(testCases) {
-    console.log('Starting test case synchronization...');
+  async syncTestCases(testCases, checkpoint = null) {
+    console.log(`Starting test case synchronization (${this.concurrency} at a time)...`);
     const results = {
       created: [],
       updated: [],
       skipped: [],
-      errors: []
+      errors: [],
+      unresolved: [],
+      resumed: []
     };
 
-    for (let i = 0; i < testCases.length; i++) {
-      const testCase = testCases[i];
-      console.log(`\nProcessing ${i + 1}/${testCases.length}: ${testCase.testId}`);
-      
+    // Rows run concurrently, so a repeated Test ID is synced once, from its last row
+    const byTestId = new Map();
+    testCases.forEach(testCase => {
+      if (byTestId.has(testCase.testId)) {
+        console.warn(`${testCase.testId} appears more than once in the CSV, syncing the last row`);
+      }
+      byTestId.set(testCase.testId, testCase);
+    });
+
+    if (checkpoint) {
+      // Issues created just before a crash are updated now instead of created again
+      checkpoint.unfinished().forEach(entry => this.testCaseLookup.remember(entry.testId, { key: entry.key }));
+    }
+    const pending = [...byTestId.values()].filter(testCase => {
+      if (!checkpoint?.isComplete(testCase.testId)) return true;
+      results.resumed.push({ testId: testCase.testId, ...checkpoint.done[testCase.testId] });
+      return false;
+    });
+    if (results.resumed.length > 0) {
+      console.log(`Resuming from checkpoint: ${results.resumed.length} test cases already synced`);
+    }
+
+    // Look up every row; existing issues are updated right away, new ones are created in bulk below
+    const toCreate = [];
+    await mapWithConcurrency(pending, this.concurrency, async (testCase, i) => {
+      console.log(`Processing ${i + 1}/${pending.length}: ${testCase.testId}`);
+
       try {
-        // Check if issue already exists
         const existingIssue = await this.findExistingIssue(testCase.testId);
-        
-        if (existingIssue) {
-          if (this.updateExisting) {
-            const result = await this.updateJiraIssue(existingIssue.key, testCase);
-            results.updated.push({ testId: testCase.testId, key: existingIssue.key, result });
-          } else {
-            console.log(`Issue ${testCase.testId} already exists, skipping`);
-            results.skipped.push({ testId: testCase.testId, key: existingIssue.key });
-          }
-        } else {
-          const result = await this.createJiraIssue(testCase);
-          results.created.push({ testId: testCase.testId, key: result?.key, result });
+        if (!existingIssue) {
+          toCreate.push(testCase);
+          return;
         }
-        
-        // Rate limiting - avoid overwhelming Jira
-        await this.sleep(200);
-        
+
+        if (!this.updateExisting) {
+          console.log(`Issue ${testCase.testId} already exists, skipping`);
+          results.skipped.push({ testId: testCase.testId, key: existingIssue.key });
+          checkpoint?.record(testCase.testId, 'skipped', existingIssue.key);
+          return;
+        }
+
+        const result = await this.updateJiraIssue(existingIssue.key, testCase);
+        results.updated.push({ testId: testCase.testId, key: existingIssue.key, result });
+        await this.linkRequirements(existingIssue.key, testCase.testId, this.mapping.requirementsFor(testCase), results);
+        checkpoint?.record(testCase.testId, 'updated', existingIssue.key);
       } catch (error) {
         console.error(`Error processing ${testCase.testId}:`, error.message);
         results.errors.push({ testId: testCase.testId, error: error.message });
       }
+    });
+
+    const batches = [];
+    for (let i = 0; i < toCreate.length; i += BULK_CREATE_LIMIT) {
+      batches.push(toCreate.slice(i, i + BULK_CREATE_LIMIT));
+    }
+
+    for (const batch of batches) {
+      const created = await this.bulkCreateJiraIssues(batch, results);
+      created.forEach(({ testCase, key }) => checkpoint?.record(testCase.testId, 'created', key, false));
+
+      await mapWithConcurrency(created, this.concurrency, async ({ testCase, key }) => {
+        try {
+          if (!this.dryRun) await this.setTestCaseProperty(key, testCase.testId);
+          results.created.push({ testId: testCase.testId, key });
+          await this.linkRequirements(key, testCase.testId, this.mapping.requirementsFor(testCase), results);
+          checkpoint?.record(testCase.testId, 'created', key);
+        } catch (error) {
+          console.error(`Error finishing ${testCase.testId} (${key}):`, error.message);
+          results.errors.push({ testId: testCase.testId, error: error.message });
+        }
+      });
     }
 
     return results;
   }
 
+  /**
+   * Creates up to BULK_CREATE_LIMIT issues in one call. Rows Jira rejects are added to results.errors;
+   * returns [{ testCase, key }] for the rest.
+   */
+  async bulkCreateJiraIssues(testCases, results) {
+    if (this.dryRun) {
+      testCases.forEach(testCase => console.log(`[DRY RUN] Would create issue for ${testCase.testId}`));
+      return testCases.map(testCase => ({ testCase, key: 'DRY-RUN-001' }));
+    }
+
+    let data;
+    try {
+      const response = await axios.post(
+        '/rest/api/3/issue/bulk',
+        { issueUpdates: testCases.map(testCase => this.createPayload(testCase)) },
+        this.jiraConfig
+      );
+      data = response.data;
+    } catch (error) {
+      // When every element fails Jira answers 400 with the same per-element errors
+      if (!error.response?.data?.errors) {
+        console.error('Error creating issues:', error.response?.data || error.message);
+        testCases.forEach(testCase => results.errors.push({ testId: testCase.testId, error: error.message }));
+        return [];
+      }
+      data = error.response.data;
+    }
+
+    const failed = new Map((data.errors || []).map(e => [e.failedElementNumber, e]));
+    failed.forEach((e, index) => {
+      const messages = [
+        ...(e.elementErrors?.errorMessages || []),
+        ...Object.entries(e.elementErrors?.errors || {}).map(([field, message]) => `${field}: ${message}`)
+      ];
+      console.error(`Error creating issue for ${testCases[index].testId}:`, messages.join('; '));
+      results.errors.push({ testId: testCases[index].testId, error: messages.join('; ') || `status ${e.status}` });
+    });
+
+    // Created issues come back in request order, without the rejected elements
+    const created = testCases
+      .filter((testCase, index) => !failed.has(index))
+      .map((testCase, i) => ({ testCase, key: data.issues[i].key, id: data.issues[i].id }));
+
+    created.forEach(({ testCase, key, id }) => {
+      console.log(`Created issue: ${key}`);
+      this.testCaseLookup.remember(testCase.testId, { key, id });
+    });
+    return created;
+  }
+
   async findExistingIssue(testId) {
-    // Since search endpoint returns 410, skip searching and assume no existing issues
-    // This means the script will always try to create new issues
-    console.log(`Skipping search for ${testId} (search endpoint not available)`);
-    return null;
+    // Matched on the Test ID issue property, label or summary prefix via /rest/api/3/search/jql
+    const issue = await this.testCaseLookup.findIssue(testId);
+    if (issue) {
+      console.log(`Found existing issue for ${testId}: ${issue.key}`);
+    }
+    return issue;
   }
 
-  async createJiraIssue(testCase) {
+  // Failed links are reported as errors of the row; the issue itself was synced
+  async linkRequirements(issueKey, testId, references, results) {
+    try {
+      const { unresolved } = await this.requirementLinker.link(issueKey, references, { dryRun: this.dryRun });
+      unresolved.forEach(u => {
+        console.warn(`Requirement '${u.requirement}' of ${testId} not resolved: ${u.reason}`);
+        results.unresolved.push({ testId, ...u });
+      });
+    } catch (error) {
+      console.error(`Error linking requirements of ${testId}:`, error.response?.data || error.message);
+      results.errors.push({ testId, error: `requirement links: ${error.message}` });
+    }
+  }
+
+  // Stores the Test ID on the issue so later runs match it without relying on the summary
+  async setTestCaseProperty(issueKey, testId) {
+    await axios.put(
+      `/rest/api/3/issue/${issueKey}/properties/${TEST_CASE_PROPERTY}`,
+      { testId },
+      this.jiraConfig
+    );
+  }
+
+  // { automated, tests } goes to the playwright.automated property; the mapped field only when it changed
+  async setAutomated(issueKey, value, updateField = true) {
+    const { field, type = 'option', yes = 'Yes', no = 'No' } = this.mapping.automated;
     if (this.dryRun) {
-      console.log(`[DRY RUN] Would create issue for ${testCase.testId}`);
-      return { key: 'DRY-RUN-001' };
+      console.log(`[DRY RUN] Would flag ${issueKey} Automated: ${value.automated ? 'yes' : 'no'}`);
+      return;
+    }
+
+    await axios.put(
+      `/rest/api/3/issue/${issueKey}/properties/${AutomationCoverage.AUTOMATED_PROPERTY}`,
+      { ...value, checkedAt: new Date().toISOString() },
+      this.jiraConfig
+    );
+    if (field && updateField) {
+      const flag = value.automated ? yes : no;
+      await axios.put(`/rest/api/3/issue/${issueKey}`, {
+        fields: { [field]: type === 'string' ? flag : { value: flag } }
+      }, this.jiraConfig);
     }
+    console.log(`Flagged ${issueKey} Automated: ${value.automated ? 'yes' : 'no'}`);
+  }
 
-    const issueData = {
+  createPayload(testCase) {
+    return {
       fields: {
         project: { key: this.projectKey },
         summary: `${testCase.testId}: ${testCase.testName}`,
         description: this.generateDescription(testCase),
-        issuetype: { name: 'Story' }, // Change to 'Test' if you have that issue type
-        priority: { name: this.mapPriority(testCase.priority) },
-        labels: ['automated-test', 'playwright', testCase.priority.toLowerCase()]
+        issuetype: { name: this.mapping.issueType },
+        labels: [...this.mapping.labelsFor(testCase), testIdLabel(testCase.testId)],
+        ...this.mapping.fields(testCase)
       }
     };
+  }
+
+  updatePayload(testCase) {
+    return {
+      fields: {
+        summary: `${testCase.testId}: ${testCase.testName}`,
+        description: this.generateDescription(testCase),
+        ...this.mapping.fields(testCase)
+      },
+      update: {
+        // Added, not replaced, so labels set by hand in Jira stay
+        labels: [...this.mapping.labelsFor(testCase), testIdLabel(testCase.testId)].map(label => ({ add: label }))
+      }
+    };
+  }
+
+  // `issueData` lets an applied plan send exactly the payload that was reviewed
+  async createJiraIssue(testCase, issueData = this.createPayload(testCase)) {
+    if (this.dryRun) {
+      console.log(`[DRY RUN] Would create issue for ${testCase.testId}`);
+      return { key: 'DRY-RUN-001' };
+    }
 
     try {
       const response = await axios.post('/rest/api/3/issue', issueData, this.jiraConfig);
       console.log(`Created issue: ${response.data.key}`);
+      // Duplicate rows later in the same CSV update this issue instead of creating another
+      this.testCaseLookup.remember(testCase.testId, response.data);
+      await this.setTestCaseProperty(response.data.key, testCase.testId);
       return response.data;
     } catch (error) {
       console.error('Error creating issue:', error.response?.data || error.message);
@@ -187,22 +379,16 @@ class TraceabilityMatrixSync {
     }
   }
 
-  async updateJiraIssue(issueKey, testCase) {
+  async updateJiraIssue(issueKey, testCase, updateData = this.updatePayload(testCase)) {
     if (this.dryRun) {
       console.log(`[DRY RUN] Would update issue ${issueKey}`);
       return { key: issueKey };
     }
 
-    const updateData = {
-      fields: {
-        summary: `${testCase.testId}: ${testCase.testName}`,
-        description: this.generateDescription(testCase),
-        priority: { name: this.mapPriority(testCase.priority) }
-      }
-    };
-
     try {
       await axios.put(`/rest/api/3/issue/${issueKey}`, updateData, this.jiraConfig);
+      // Backfills the stable key on issues matched only by their summary
+      await this.setTestCaseProperty(issueKey, testCase.testId);
       console.log(`Updated issue: ${issueKey}`);
       return { key: issueKey };
     } catch (error) {
@@ -212,68 +398,7 @@ class TraceabilityMatrixSync {
   }
 
   generateDescription(testCase) {
-    return {
-      type: "doc",
-      version: 1,
-      content: [
-        {
-          type: "heading",
-          attrs: { level: 2 },
-          content: [{ type: "text", text: "Test Information" }]
-        },
-        {
-          type: "paragraph",
-          content: [
-            { type: "text", text: "Requirement/Feature: ", marks: [{ type: "strong" }] },
-            { type: "text", text: testCase.requirement }
-          ]
-        },
-        {
-          type: "paragraph",
-          content: [
-            { type: "text", text: "Test Method: ", marks: [{ type: "strong" }] },
-            { type: "text", text: testCase.testMethod }
-          ]
-        },
-        {
-          type: "heading",
-          attrs: { level: 3 },
-          content: [{ type: "text", text: "POM Methods Used" }]
-        },
-        {
-          type: "codeBlock",
-          content: [{ type: "text", text: testCase.pomMethods }]
-        },
-        {
-          type: "heading",
-          attrs: { level: 3 },
-          content: [{ type: "text", text: "Verification Points" }]
-        },
-        {
-          type: "paragraph",
-          content: [{ type: "text", text: testCase.verificationPoints }]
-        },
-        {
-          type: "paragraph",
-          content: [
-            { type: "text", text: "Status: ", marks: [{ type: "strong" }] },
-            { type: "text", text: testCase.status }
-          ]
-        }
-      ]
-    };
-  }
-
-  mapPriority(csvPriority) {
-    const priorityMap = {
-      'High': 'High',
-      'Medium': 'Medium', 
-      'Low': 'Low',
-      'Critical': 'Highest',
-      'Minor': 'Lowest'
-    };
-    
-    return priorityMap[csvPriority] || 'Medium';
+    return this.mapping.description(testCase);
   }
 
   printSummary(results) {
@@ -282,7 +407,11 @@ class TraceabilityMatrixSync {
     console.log(`Created: ${results.created.length}`);
     console.log(`Updated: ${results.updated.length}`);
     console.log(`Skipped: ${results.skipped.length}`);
+    if (results.resumed?.length > 0) {
+      console.log(`Resumed (synced by an earlier run): ${results.resumed.length}`);
+    }
     console.log(`Errors: ${results.errors.length}`);
+    console.log(`Unresolved requirements: ${results.unresolved.length}`);
     
     if (results.created.length > 0) {
       console.log('\nCreated Issues:');
@@ -294,6 +423,11 @@ class TraceabilityMatrixSync {
       results.updated.forEach(r => console.log(`  • ${r.testId} → ${r.key}`));
     }
     
+    if (results.unresolved.length > 0) {
+      console.log('\nUnresolved Requirements:');
+      results.unresolved.forEach(r => console.log(`  • ${r.testId}: '${r.requirement}' - ${r.reason}`));
+    }
+    
     if (results.errors.length > 0) {
       console.log('\nErrors:');
       results.errors.forEach(r => console.log(`  • ${r.testId}: ${r.error}`));
@@ -301,25 +435,63 @@ class TraceabilityMatrixSync {
     
     console.log('\nSync completed!');
   }
-
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 // CLI usage
+const USAGE = `Usage:
+  node sync-traceability-to-jira.js [csv-file-path] [--mapping mapping-file] [--concurrency n] [--checkpoint file]
+  node sync-traceability-to-jira.js plan [csv-file-path] [--out plan-file] [--mapping mapping-file]
+  node sync-traceability-to-jira.js apply [plan-file] [--force]
+  node sync-traceability-to-jira.js reconcile [csv-file-path] [--orphans report|label|archive] [--orphan-label label]
+                                    [--drift report|overwrite|accept] [--mapping mapping-file]
+  node sync-traceability-to-jira.js coverage [csv-file-path] [--config playwright-config] [--id-pattern regex]
+                                    [--mapping mapping-file]`;
+
+// Removes `--name value` from args and returns the value
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+}
+
 async function main() {
-  const csvFile = process.argv[2] || 'traceability-matrix.csv';
+  const args = process.argv.slice(2);
+  const command = ['plan', 'apply', 'reconcile', 'coverage'].includes(args[0]) ? args.shift() : 'sync';
+  const mapping = takeOption(args, '--mapping');
+  const concurrency = takeOption(args, '--concurrency');
+  const checkpoint = takeOption(args, '--checkpoint');
+  const planFile = takeOption(args, '--out') || 'sync-plan.json';
+  const reconcileOptions = {
+    orphans: takeOption(args, '--orphans'),
+    orphanLabel: takeOption(args, '--orphan-label'),
+    drift: takeOption(args, '--drift')
+  };
+  const idPattern = takeOption(args, '--id-pattern');
+  const coverageOptions = {
+    config: takeOption(args, '--config'),
+    testIds: idPattern ? { idPattern } : undefined
+  };
+  const force = args.includes('--force');
+  const file = args.filter(a => a !== '--force')[0] || (command === 'apply' ? 'sync-plan.json' : 'traceability-matrix.csv');
   
-  if (!fs.existsSync(csvFile)) {
-    console.error(`CSV file not found: ${csvFile}`);
-    console.log('Usage: node sync-traceability-to-jira.js [csv-file-path]');
+  if (!fs.existsSync(file)) {
+    console.error(`${command === 'apply' ? 'Plan' : 'CSV'} file not found: ${file}`);
+    console.log(USAGE);
     process.exit(1);
   }
 
   try {
-    const sync = new TraceabilityMatrixSync();
-    await sync.syncTraceabilityMatrix(csvFile);
+    const sync = new TraceabilityMatrixSync({ mapping, concurrency, checkpoint });
+    if (command === 'plan') {
+      await new SyncPlanner(sync).plan(file, planFile);
+    } else if (command === 'apply') {
+      await new SyncPlanner(sync).apply(SyncPlanner.load(file), { force });
+    } else if (command === 'reconcile') {
+      await sync.reconcile(file, reconcileOptions);
+    } else if (command === 'coverage') {
+      await sync.coverage(file, coverageOptions);
+    } else {
+      await sync.syncTraceabilityMatrix(file);
+    }
   } catch (error) {
     console.error('Sync failed:', error.message);
     process.exit(1);
@@ -0,0 +1,97 @@
+// scripts/test-case-lookup.js
+// Resolves traceability Test IDs (e.g. VAL-001) to the Jira issues created by TraceabilityMatrixSync
+const axios = require('axios');
+
+// Issue property written on every synced test case, and on test cases the reporter found another way: { testId: 'VAL-001' }
+const TEST_CASE_PROPERTY = 'playwright.testCase';
+
+// Labels cannot contain spaces
+function testIdLabel(testId) {
+  return testId.trim().replace(/\s+/g, '-');
+}
+
+class TestCaseLookup {
+  constructor(jiraConfig, projectKey) {
+    this.jiraConfig = jiraConfig;
+    this.projectKey = projectKey;
+    this.cache = new Map();
+  }
+
+  // Returns { key, id, summary, labels, linked } or null. Concurrent lookups of the same ID share one request.
+  // Lookup errors are rethrown: callers must not treat "unknown" as "missing" and create duplicates.
+  findIssue(testId) {
+    if (!this.cache.has(testId)) {
+      this.cache.set(testId, this.searchIssue(testId).catch(error => {
+        this.cache.delete(testId);
+        throw error;
+      }));
+    }
+    return this.cache.get(testId);
+  }
+
+  // Record an issue created during this run so later lookups don't depend on search indexing
+  remember(testId, issue) {
+    this.cache.set(testId, Promise.resolve(issue));
+  }
+
+  async searchIssue(testId) {
+    const issues = await this.searchAll(this.buildJql(testId), {
+      fields: 'summary,labels',
+      properties: TEST_CASE_PROPERTY
+    });
+    return this.pickMatch(testId, issues);
+  }
+
+  // Pages through /rest/api/3/search/jql, which uses nextPageToken instead of startAt
+  async searchAll(jql, params = {}) {
+    const issues = [];
+    let nextPageToken;
+
+    do {
+      const response = await axios.get('/rest/api/3/search/jql', {
+        ...this.jiraConfig,
+        params: { jql, maxResults: 100, ...params, nextPageToken }
+      });
+      issues.push(...(response.data.issues || []));
+      nextPageToken = response.data.isLast === false ? response.data.nextPageToken : undefined;
+    } while (nextPageToken);
+
+    return issues;
+  }
+
+  buildJql(testId) {
+    const escape = value => value.replace(/["\\]/g, '\\$&');
+    const label = escape(testIdLabel(testId));
+    const phrase = escape(testId);
+    // Summary search is full-text, so the exact phrase is matched again in pickMatch
+    return `project = "${this.projectKey}" AND (labels = "${label}" OR summary ~ "\\"${phrase}\\"") ORDER BY created ASC`;
+  }
+
+  pickMatch(testId, issues) {
+    // Prefer the most explicit link: issue property, then label, then "VAL-001: ..." summary prefix
+    const match =
+      issues.find(issue => issue.properties?.[TEST_CASE_PROPERTY]?.testId === testId) ||
+      issues.find(issue => issue.fields?.labels?.includes(testIdLabel(testId))) ||
+      issues.find(issue => issue.fields?.summary?.startsWith(`${testId}:`));
+
+    if (!match) return null;
+    return {
+      key: match.key,
+      id: match.id,
+      summary: match.fields?.summary,
+      labels: match.fields?.labels || [],
+      linked: match.properties?.[TEST_CASE_PROPERTY]?.testId === testId
+    };
+  }
+
+  // Writes the property on an issue found by label or summary, so it stays the match when copies carry the same ID
+  async link(testId, issue) {
+    if (issue.linked !== false) return;
+    await axios.put(`/rest/api/3/issue/${issue.key}/properties/${TEST_CASE_PROPERTY}`, { testId }, this.jiraConfig);
+    issue.linked = true;
+  }
+}
+
+module.exports = TestCaseLookup;
+module.exports.TEST_CASE_PROPERTY = TEST_CASE_PROPERTY;
+module.exports.testIdLabel = testIdLabel;
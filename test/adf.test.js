@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeJira = require('./helpers/fake-jira');
+const adf = require('../scripts/adf');
+const JiraReporter = require('../reporters/jira-reporter');
+
+let jira;
+let restoreEnv;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Jira rejects empty text nodes; terminal colors would show up as garbage
+function assertValidDoc(node) {
+  assert.strictEqual(node.type, 'doc');
+  const walk = n => {
+    if (n.type === 'text') {
+      assert.ok(n.text.length > 0, 'empty text node');
+      assert.doesNotMatch(n.text, /\u001b/);
+    }
+    (n.content || []).forEach(walk);
+  };
+  walk(node);
+}
+
+const texts = node => (node.type === 'text' ? [node.text] : (node.content || []).flatMap(texts));
+
+test('empty values and terminal colors never reach the document', () => {
+  const doc = adf.doc(
+    adf.paragraph('Error: ', '\u001b[31mTimeout\u001b[39m', '', null),
+    adf.field('Project', ''),
+    false,
+    adf.codeBlock(undefined)
+  );
+
+  assertValidDoc(doc);
+  assert.strictEqual(doc.content.length, 3);
+  assert.deepStrictEqual(texts(doc), ['Error: ', 'Timeout', 'Project: ']);
+  assert.strictEqual(adf.text(''), null);
+});
+
+test('tables get bold headers and one cell per value', () => {
+  const table = adf.table(['Test ID', 'Result'], [['VAL-001', adf.testStatus('failed')]]);
+
+  assert.deepStrictEqual(table.content.map(row => row.content.map(cell => cell.type)), [
+    ['tableHeader', 'tableHeader'],
+    ['tableCell', 'tableCell']
+  ]);
+  assert.deepStrictEqual(table.content[0].content[0].content[0].content[0].marks, [{ type: 'strong' }]);
+  assert.deepStrictEqual(table.content[1].content[1].content[0].content[0].attrs, { text: 'FAILED', color: 'red', localId: '' });
+  assert.strictEqual(adf.testStatus('flaky').attrs.color, 'yellow');
+  assert.strictEqual(adf.testStatus('unknown').attrs.color, 'neutral');
+});
+
+test('the execution issue describes the run as a structured document', async () => {
+  const reporter = new JiraReporter({ history: { enabled: false } });
+  reporter.testResults = [
+    { testId: 'VAL-001', testIds: ['VAL-001'], title: 'Login', project: 'chromium', status: 'passed', outcome: 'expected', duration: 1000, attempts: 1 },
+    { testId: 'VAL-002', testIds: ['VAL-002'], title: 'Pay', project: 'chromium', status: 'passed', outcome: 'flaky', duration: 3000, attempts: 2, error: '\u001b[31mError: expect(locator).toBeVisible()\u001b[39m' },
+    { testId: 'VAL-003', testIds: ['VAL-003'], title: 'Refund', project: 'firefox', status: 'failed', outcome: 'unexpected', duration: 2000, attempts: 2, error: 'Error: timeout' }
+  ];
+
+  const execution = await reporter.createTestExecution({ status: 'failed', duration: 6000 });
+
+  const { description } = jira.issues.get(execution.key).fields;
+  assertValidDoc(description);
+  const all = texts(description);
+  assert.ok(all.includes('Automated Test Execution Summary'));
+  assert.ok(all.includes('Flaky Tests'));
+  assert.ok(all.includes('Error: expect(locator).toBeVisible()'));
+  const lozenges = new Set(JSON.stringify(description).match(/"type":"status","attrs":\{"text":"\w+"/g));
+  assert.deepStrictEqual([...lozenges].map(s => s.match(/"(\w+)"$/)[1]).sort(), ['FAILED', 'FLAKY', 'PASSED', 'SKIPPED']);
+});
+
+test('result comments and the healing issue are structured documents too', async () => {
+  const reporter = new JiraReporter({ history: { enabled: false } });
+  const comment = reporter.generateResultComment({
+    testId: 'VAL-003', title: 'Refund', project: 'firefox', browser: 'firefox', status: 'failed', outcome: 'unexpected',
+    duration: 2000, attempts: 1, error: 'Error: timeout', stack: '\u001b[2mError: timeout\n    at refund.spec.ts:4\u001b[22m'
+  });
+  assertValidDoc(comment);
+  assert.strictEqual(comment.content[2].type, 'codeBlock');
+
+  const issue = await reporter.createHealingSummaryIssue([
+    { testId: 'VAL-003', success: true, fixStrategy: { reason: 'Navigation issues' }, appliedFixes: ['Added waitUntil'], attempts: 1, originalError: 'Error: timeout' },
+    { testId: 'VAL-004', success: false, notAttempted: true, appliedFixes: [] }
+  ]);
+  const { description, labels } = jira.issues.get(issue.key).fields;
+  assertValidDoc(description);
+  assert.deepStrictEqual(labels, ['auto-healed', 'playwright-maintenance']);
+  assert.ok(texts(description).includes('Not attempted'));
+  assert.ok(texts(description).includes('Automated Test Healing Report'));
+});
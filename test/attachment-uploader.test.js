@@ -0,0 +1,101 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const JiraClient = require('../scripts/jira-client');
+const AttachmentUploader = require('../reporters/attachment-uploader');
+const JiraReporter = require('../reporters/jira-reporter');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function file(name, bytes = 10) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, Buffer.alloc(bytes));
+  return filePath;
+}
+
+test('only allowed, existing files within the size limit are selected', () => {
+  const uploader = new AttachmentUploader({}, { maxFileSize: 100 });
+  const selected = uploader.select([
+    { name: 'screenshot', contentType: 'image/png', path: file('test-failed-1.png') },
+    { name: 'trace', contentType: 'application/zip', path: file('trace.zip', 101) },
+    { name: 'video', contentType: 'video/webm', path: path.join(dir, 'missing.webm') },
+    { name: 'report', contentType: 'text/html', path: file('report.html') },
+    { name: 'stdout', contentType: 'text/plain', body: Buffer.from('log') },
+    { name: 'empty', contentType: 'text/plain' }
+  ]);
+
+  assert.deepStrictEqual(selected.map(a => a.name), ['screenshot', 'stdout']);
+  assert.deepStrictEqual(new AttachmentUploader({}, { enabled: false }).select([{ name: 'stdout', contentType: 'text/plain', body: 'x' }]), []);
+});
+
+test('uploads name each file after the test and project', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  const uploader = new AttachmentUploader(new JiraClient().config);
+
+  const uploaded = await uploader.upload(issue.key, [
+    { name: 'screenshot', contentType: 'image/png', path: file('test-failed-1.png') },
+    { name: 'stdout', contentType: 'text/plain', body: Buffer.from('log') }
+  ], 'VAL-001-chromium');
+
+  assert.deepStrictEqual(uploaded.map(a => a.filename), ['VAL-001-chromium-test-failed-1.png', 'VAL-001-chromium-stdout']);
+  assert.deepStrictEqual(issue.attachments.map(a => a.filename), uploaded.map(a => a.filename));
+  const requests = jira.requestsTo('POST', `/rest/api/3/issue/${issue.key}/attachments`);
+  assert.ok(requests.every(r => r.headers['x-atlassian-token'] === 'no-check'));
+});
+
+test('a failed upload does not stop the others', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  const uploader = new AttachmentUploader(new JiraClient().config);
+
+  const uploaded = await uploader.upload(issue.key, [
+    { name: 'gone', contentType: 'image/png', path: path.join(dir, 'deleted.png') },
+    { name: 'stdout', contentType: 'text/plain', body: Buffer.from('log') }
+  ]);
+
+  assert.deepStrictEqual(uploaded.map(a => a.filename), ['stdout']);
+});
+
+test('the result comment links the uploaded files and the execution gets each file once', async () => {
+  const testCase = jira.addIssue({ summary: 'VAL-001: Login' });
+  const execution = jira.addIssue({ summary: 'Execution' });
+  const reporter = new JiraReporter({ history: { enabled: false } });
+  const screenshot = { name: 'screenshot', contentType: 'image/png', path: file('test-failed-1.png') };
+  const result = { testIds: ['VAL-001', 'VAL-002'], project: 'chromium', status: 'failed', outcome: 'unexpected', duration: 900, attempts: 1, attachments: [screenshot] };
+
+  await reporter.syncTestToJira({ ...result, testId: 'VAL-001' });
+  reporter.testResults = [{ ...result, testId: 'VAL-001' }, { ...result, testId: 'VAL-002' }];
+  await reporter.uploadExecutionAttachments(execution.key);
+
+  assert.deepStrictEqual(testCase.attachments.map(a => a.filename), ['chromium-test-failed-1.png']);
+  assert.match(JSON.stringify(testCase.comments[0]), /chromium-test-failed-1\.png/);
+  assert.deepStrictEqual(execution.attachments.map(a => a.filename), ['VAL-001-chromium-test-failed-1.png']);
+  assert.match(JSON.stringify(execution.comments[0]), /Failure attachments.*VAL-001, VAL-002 \[chromium\]/);
+});
@@ -0,0 +1,115 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const TraceabilityMatrixSync = require('../scripts/sync-traceability-to-jira');
+const { AUTOMATED_PROPERTY } = require('../scripts/automation-coverage');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({ DRY_RUN: 'false', UPDATE_EXISTING: 'true' });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-coverage-test-'));
+  fs.mkdirSync(path.join(dir, 'tests'));
+  fs.writeFileSync(path.join(dir, 'playwright.config.js'),
+    "module.exports = { testDir: './tests', projects: [{ name: 'chromium' }, { name: 'firefox' }] };\n", 'utf8');
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeSpec(name, lines) {
+  // The specs live outside the repo, so @playwright/test is required by path
+  const playwright = JSON.stringify(require.resolve('@playwright/test'));
+  fs.writeFileSync(path.join(dir, 'tests', name), [`const { test } = require(${playwright});`, ...lines].join('\n'), 'utf8');
+}
+
+function writeCsv(rows) {
+  const file = path.join(dir, 'matrix.csv');
+  fs.writeFileSync(file, ['Test ID,Test Name,Priority', ...rows].join('\n'), 'utf8');
+  return file;
+}
+
+function newSync() {
+  const mapping = path.join(dir, 'mapping.js');
+  fs.writeFileSync(mapping, "module.exports = { automated: { field: 'customfield_10060' } };", 'utf8');
+  return new TraceabilityMatrixSync({ mapping, checkpoint: path.join(dir, 'checkpoint.json') });
+}
+
+const coverage = (csvFile, options = {}) => newSync().coverage(csvFile, { config: path.join(dir, 'playwright.config.js'), ...options });
+const issueFor = testId => [...jira.issues.values()].find(issue => issue.fields.summary.startsWith(`${testId}:`));
+
+test('the suite listing is compared with the matrix and each synced row is flagged', async () => {
+  writeSpec('auth.spec.js', [
+    "test('VAL-001: Login', async () => {});",
+    "test('VAL-002: Logout', async () => {});",
+    "test('Profile', { annotation: { type: 'jira', description: 'VAL-005' } }, async () => {});",
+    "test.describe('Checkout', () => { test('pays', { tag: '@VAL-007' }, async () => {}); });"
+  ]);
+  writeSpec('session.spec.js', ["test('VAL-002: Logout after a timeout', async () => {});"]);
+  await newSync().syncTraceabilityMatrix(writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low', 'VAL-003,Search,Medium']));
+  jira.requests.length = 0;
+
+  const report = await coverage(writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low', 'VAL-003,Search,Medium', 'VAL-004,Wishlist,Low']));
+
+  assert.deepStrictEqual(report.notAutomated, ['VAL-003', 'VAL-004']);
+  assert.deepStrictEqual(report.notInMatrix, ['VAL-005', 'VAL-007']);
+  assert.deepStrictEqual(report.duplicated, [{
+    testId: 'VAL-002',
+    tests: [{ title: 'VAL-002: Logout', file: 'auth.spec.js', line: 3 }, { title: 'VAL-002: Logout after a timeout', file: 'session.spec.js', line: 2 }]
+  }]);
+  assert.deepStrictEqual(report.flagged.map(f => [f.testId, f.automated]).sort(), [['VAL-001', true], ['VAL-002', true], ['VAL-003', false]]);
+  assert.deepStrictEqual(report.unsynced, ['VAL-004']);
+
+  const { automated, tests, checkedAt } = issueFor('VAL-002').properties[AUTOMATED_PROPERTY];
+  assert.deepStrictEqual([automated, tests], [true, ['auth.spec.js:3', 'session.spec.js:2']]);
+  assert.ok(checkedAt);
+  assert.deepStrictEqual(issueFor('VAL-001').fields.customfield_10060, { value: 'Yes' });
+  assert.deepStrictEqual(issueFor('VAL-003').fields.customfield_10060, { value: 'No' });
+});
+
+test('unchanged flags are not written again and moved tests leave the field alone', async () => {
+  writeSpec('auth.spec.js', ["test('VAL-001: Login', async () => {});"]);
+  const csvFile = writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low']);
+  await newSync().syncTraceabilityMatrix(csvFile);
+  await coverage(csvFile);
+  jira.requests.length = 0;
+
+  assert.deepStrictEqual((await coverage(csvFile)).flagged, []);
+  assert.deepStrictEqual(jira.requests.filter(r => r.method !== 'GET'), []);
+
+  writeSpec('auth.spec.js', ['', "test('VAL-001: Login', async () => {});"]);
+  const report = await coverage(csvFile);
+
+  assert.deepStrictEqual(report.flagged.map(f => f.testId), ['VAL-001']);
+  assert.deepStrictEqual(issueFor('VAL-001').properties[AUTOMATED_PROPERTY].tests, ['auth.spec.js:3']);
+  assert.deepStrictEqual(jira.requests.filter(r => r.method === 'PUT').map(r => r.path), [
+    `/rest/api/3/issue/${issueFor('VAL-001').key}/properties/${AUTOMATED_PROPERTY}`
+  ]);
+});
+
+test('a suite that cannot be listed fails before Jira is touched', async () => {
+  fs.writeFileSync(path.join(dir, 'playwright.config.js'), "throw new Error('bad config');\n", 'utf8');
+
+  await assert.rejects(coverage(writeCsv(['VAL-001,Login,High'])), /playwright test --list failed: .*bad config/s);
+  assert.deepStrictEqual(jira.requests, []);
+});
@@ -0,0 +1,148 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const JiraReporter = require('../reporters/jira-reporter');
+
+const DONE = { id: '3', name: 'Done', statusCategory: { key: 'done' } };
+const IN_PROGRESS = { id: '2', name: 'In Progress', statusCategory: { key: 'indeterminate' } };
+
+let jira;
+let restoreEnv;
+let dir;
+let links;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+  // Open issues can be closed, done ones reopened
+  jira.on('GET', /\/transitions$/, request => {
+    const issue = jira.issues.get(request.path.split('/')[5]);
+    const done = issue.fields.status.statusCategory?.key === 'done';
+    return { data: { transitions: [done ? { id: '21', name: 'Reopen', to: IN_PROGRESS } : { id: '31', name: 'Close', to: DONE }] } };
+  });
+  jira.on('POST', /\/transitions$/, request => {
+    jira.issues.get(request.path.split('/')[5]).fields.status = request.body.transition.id === '31' ? DONE : IN_PROGRESS;
+    return { status: 204 };
+  });
+  jira.on('POST', /^\/rest\/api\/3\/issueLink$/, request => {
+    links.push([request.body.inwardIssue.key, request.body.outwardIssue.key]);
+    return { status: 201 };
+  });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  links = [];
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bug-filer-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function bugFiler(bugs = {}) {
+  const reporter = new JiraReporter({
+    jira: { maxRetries: 0 },
+    history: { file: path.join(dir, 'test-history.json') },
+    bugs: { enabled: true, ...bugs }
+  });
+  return reporter.bugFiler;
+}
+
+function failure(testId, project, error = 'Error: expect(locator).toBeVisible() failed', line = 12) {
+  const file = '/project/tests/checkout.spec.ts';
+  return { testId, title: 'Checkout', project, status: 'failed', outcome: 'unexpected', error, file, errorLocation: { file, line } };
+}
+
+const bugs = () => [...jira.issues.values()].filter(issue => issue.fields.labels.includes('playwright-bug'));
+
+test('one bug per distinct failure, linked to every test case failing that way', async () => {
+  const login = jira.addIssue({ summary: 'VAL-001: Login' });
+  const checkout = jira.addIssue({ summary: 'VAL-002: Checkout' });
+
+  const filed = await bugFiler({ labels: ['qa'] }).fileFailures([
+    failure('VAL-001', 'chromium'),
+    failure('VAL-001', 'firefox'),
+    failure('VAL-002', 'chromium'),
+    failure('VAL-002', 'chromium', 'Timeout 30000ms exceeded', 40),
+    { testId: 'VAL-003', status: 'failed' }
+  ]);
+
+  assert.deepStrictEqual(filed.map(f => f.action), ['created', 'created']);
+  const [first, second] = filed.map(f => jira.issues.get(f.key));
+  assert.strictEqual(first.fields.summary, 'Playwright failure: Error: expect(locator).toBeVisible() failed');
+  assert.strictEqual(first.fields.issuetype.name, 'Bug');
+  assert.deepStrictEqual(first.fields.labels, ['playwright', 'playwright-bug', `pw-fp-${filed[0].fingerprint}`, 'qa']);
+  assert.deepStrictEqual(first.properties['playwright.bug'], { fingerprint: filed[0].fingerprint, testIds: ['VAL-001', 'VAL-002'] });
+  assert.deepStrictEqual(second.properties['playwright.bug'].testIds, ['VAL-002']);
+  assert.deepStrictEqual(links, [[first.key, login.key], [first.key, checkout.key], [second.key, checkout.key]]);
+});
+
+test('a recurring failure comments on its bug and links test cases failing that way since', async () => {
+  jira.addIssue({ summary: 'VAL-001: Login' });
+  const refund = jira.addIssue({ summary: 'VAL-003: Refund' });
+  const [{ key }] = await bugFiler().fileFailures([failure('VAL-001', 'chromium')]);
+  links.length = 0;
+
+  const filed = await bugFiler().fileFailures([failure('VAL-001', 'webkit'), failure('VAL-003', 'webkit')]);
+
+  assert.deepStrictEqual(filed.map(f => [f.key, f.action]), [[key, 'commented']]);
+  assert.strictEqual(bugs().length, 1);
+  const bug = jira.issues.get(key);
+  assert.match(JSON.stringify(bug.comments[0]), /Failure recurred"/);
+  assert.deepStrictEqual(bug.properties['playwright.bug'].testIds, ['VAL-001', 'VAL-003']);
+  assert.deepStrictEqual(links, [[key, refund.key]]);
+});
+
+test('a closed bug is reopened when its failure comes back', async () => {
+  const [{ key }] = await bugFiler().fileFailures([failure('VAL-001', 'chromium')]);
+  jira.issues.get(key).fields.status = DONE;
+
+  const filed = await bugFiler().fileFailures([failure('VAL-001', 'chromium')]);
+
+  assert.deepStrictEqual(filed.map(f => [f.key, f.action]), [[key, 'reopened']]);
+  assert.deepStrictEqual(jira.issues.get(key).fields.status, IN_PROGRESS);
+  assert.match(JSON.stringify(jira.issues.get(key).comments[0]), /bug reopened/);
+});
+
+test('open bugs are closed once all their tests passed enough runs in a row', async () => {
+  const filer = bugFiler({ closeAfterPasses: 2 });
+  const [recovered, failing] = await filer.fileFailures([
+    failure('VAL-001', 'chromium'),
+    failure('VAL-002', 'chromium', 'Timeout 30000ms exceeded', 40)
+  ]);
+  [['failed', 'failed'], ['passed', 'failed'], ['passed', 'passed']].forEach(([first, second]) => {
+    filer.runHistory.recordRun([
+      { testId: 'VAL-001', project: 'chromium', status: first, outcome: first === 'passed' ? 'expected' : 'unexpected' },
+      { testId: 'VAL-002', project: 'chromium', status: second, outcome: second === 'passed' ? 'expected' : 'unexpected' }
+    ]);
+  });
+
+  assert.deepStrictEqual(await filer.closeRecoveredBugs(), [recovered.key]);
+  assert.deepStrictEqual(jira.issues.get(recovered.key).fields.status, DONE);
+  assert.match(JSON.stringify(jira.issues.get(recovered.key).comments[0]), /VAL-001 passed 2 runs in a row/);
+  assert.strictEqual(jira.issues.get(failing.key).fields.status.name, 'To Do');
+});
+
+test('a failed search for open bugs closes nothing and does not fail the run', async () => {
+  const filer = bugFiler({ closeAfterPasses: 2 });
+  jira.on('GET', /\/search\/jql$/, () => ({ status: 500, data: { errorMessages: ['Internal error'] } }));
+
+  try {
+    assert.deepStrictEqual(await filer.closeRecoveredBugs(), []);
+    assert.match(console.error.mock.calls[0].arguments[0], /Error searching open bugs to close/);
+  } finally {
+    jira.routes.pop();
+  }
+});
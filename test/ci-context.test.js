@@ -0,0 +1,155 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const CiContext = require('../reporters/ci-context');
+const JiraReporter = require('../reporters/jira-reporter');
+
+const { EXECUTION_PROPERTY } = CiContext;
+
+let jira;
+let restoreEnv;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+  jira.on('GET', /^\/rest\/api\/3\/project\/VAL\/versions$/, () => ({ data: [{ id: '10200', name: '2.4.0' }] }));
+  jira.on('POST', /^\/rest\/api\/3\/issue\/[^/]+\/remotelink$/, () => ({ status: 201, data: { id: 1 } }));
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const SHA = '1a2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d';
+
+test('GitHub Actions, GitLab CI and Jenkins are read from their variables', () => {
+  const github = new CiContext({}, {
+    GITHUB_ACTIONS: 'true', GITHUB_REPOSITORY: 'acme/shop', GITHUB_WORKFLOW: 'e2e', GITHUB_RUN_ID: '9001',
+    GITHUB_RUN_NUMBER: '128', GITHUB_REF_NAME: '42/merge', GITHUB_HEAD_REF: 'feature/sso', GITHUB_SHA: SHA
+  }).collect();
+  assert.strictEqual(github.providerName, 'GitHub Actions');
+  assert.strictEqual(github.buildUrl, 'https://github.com/acme/shop/actions/runs/9001');
+  assert.strictEqual(github.branch, 'feature/sso');
+  assert.strictEqual(github.commitUrl, `https://github.com/acme/shop/commit/${SHA}`);
+
+  const gitlab = new CiContext({}, {
+    GITLAB_CI: 'true', CI_PROJECT_PATH: 'acme/shop', CI_PIPELINE_ID: '77', CI_PIPELINE_IID: '12',
+    CI_PIPELINE_URL: 'https://gitlab.example.com/acme/shop/-/pipelines/77', CI_COMMIT_REF_NAME: 'main',
+    CI_COMMIT_SHA: SHA, CI_PROJECT_URL: 'https://gitlab.example.com/acme/shop'
+  }).collect();
+  assert.deepStrictEqual([gitlab.provider, gitlab.pipeline, gitlab.buildNumber, gitlab.branch], ['gitlab', 'acme/shop', '12', 'main']);
+  assert.strictEqual(gitlab.commitUrl, `https://gitlab.example.com/acme/shop/-/commit/${SHA}`);
+
+  const jenkins = new CiContext({}, {
+    JENKINS_URL: 'https://ci.example.com/', JOB_NAME: 'shop-e2e', BUILD_NUMBER: '5',
+    BUILD_URL: 'https://ci.example.com/job/shop-e2e/5/', GIT_BRANCH: 'origin/release/2.4', GIT_COMMIT: SHA
+  }).collect();
+  assert.deepStrictEqual([jenkins.providerName, jenkins.branch, jenkins.commit], ['Jenkins', 'release/2.4', SHA]);
+  assert.strictEqual(jenkins.commitUrl, undefined);
+});
+
+test('JIRA_CI_* variables and the values option override what was detected', () => {
+  const context = new CiContext({ values: { branch: 'main' } }, {
+    GITHUB_ACTIONS: 'true', GITHUB_REPOSITORY: 'acme/shop', GITHUB_RUN_ID: '9001', GITHUB_REF_NAME: 'dev', GITHUB_SHA: SHA,
+    JIRA_CI_BUILD_URL: 'https://ci.example.com/run/9001', JIRA_CI_BRANCH: 'ignored'
+  }).collect();
+  assert.strictEqual(context.buildUrl, 'https://ci.example.com/run/9001');
+  assert.strictEqual(context.branch, 'main');
+
+  const custom = new CiContext({}, { JIRA_CI_PROVIDER: 'buildkite', JIRA_CI_COMMIT: SHA, JIRA_CI_BRANCH: 'main' }).collect();
+  assert.deepStrictEqual([custom.provider, custom.providerName], ['buildkite', 'buildkite']);
+});
+
+test('outside CI the commit and branch come from git', () => {
+  const context = new CiContext({}, {}).collect();
+
+  assert.deepStrictEqual([context.provider, context.providerName], ['local', 'Local']);
+  assert.match(context.commit, /^[0-9a-f]{40}$/);
+  assert.strictEqual(context.buildUrl, undefined);
+});
+
+test('browsers, base URL and environment come from the Playwright config', () => {
+  const browsersJson = path.join(path.dirname(require.resolve('playwright-core/package.json')), 'browsers.json');
+  const bundled = JSON.parse(fs.readFileSync(browsersJson, 'utf8')).browsers.find(b => b.name === 'chromium').browserVersion;
+
+  const context = new CiContext({}, { JIRA_CI_COMMIT: SHA, JIRA_CI_BRANCH: 'main' }).collect({
+    version: '1.56.1',
+    projects: [
+      { name: 'chromium', use: { browserName: 'chromium', baseURL: 'https://staging.example.com' } },
+      { name: 'Google Chrome', use: { browserName: 'chromium', channel: 'chrome' } }
+    ]
+  });
+
+  assert.strictEqual(context.baseURL, 'https://staging.example.com');
+  assert.deepStrictEqual(context.browsers, [
+    { project: 'chromium', browser: 'chromium', channel: null, version: bundled },
+    { project: 'Google Chrome', browser: 'chromium', channel: 'chrome', version: null }
+  ]);
+  assert.strictEqual(context.playwright, '1.56.1');
+  assert.strictEqual(context.node, process.version);
+});
+
+test('the summary, labels and custom fields are built from the context', () => {
+  const ci = new CiContext({ fields: { commit: 'customfield_10080', buildUrl: 'customfield_10081', browsers: 'customfield_10082' } }, {
+    JIRA_CI_PROVIDER: 'github', JIRA_CI_BRANCH: 'feature/sign in', JIRA_CI_COMMIT: SHA, JIRA_CI_BUILD_NUMBER: '128'
+  });
+  ci.collect({ projects: [{ name: 'Google Chrome', use: { channel: 'chrome' } }] });
+
+  const date = new Date(2026, 9, 19);
+  assert.strictEqual(ci.summary(date), `Test Execution - ${date.toLocaleDateString()} - feature/sign in@1a2b3c4 #128`);
+  assert.deepStrictEqual(ci.labels(), ['ci-github', 'branch-feature/sign-in']);
+  assert.deepStrictEqual(ci.customFields(), { customfield_10080: SHA, customfield_10082: 'Google Chrome: chrome' });
+
+  const quiet = new CiContext({ labels: false }, { JIRA_CI_PROVIDER: 'github', JIRA_CI_BRANCH: 'main' });
+  quiet.collect();
+  assert.deepStrictEqual(quiet.labels(), []);
+});
+
+test('the execution issue carries the context, fixVersion, pipeline link and property', async () => {
+  const reporter = new JiraReporter({
+    history: { enabled: false },
+    ci: {
+      values: { provider: 'github', pipeline: 'e2e', buildNumber: '128', buildUrl: 'https://ci.example.com/run/9001', branch: 'main', commit: SHA },
+      fixVersion: '2.4.0',
+      fields: { commit: 'customfield_10080' }
+    }
+  });
+  reporter.testResults = [];
+
+  const { key } = await reporter.createTestExecution({ status: 'passed', duration: 1000 });
+
+  const issue = jira.issues.get(key);
+  assert.match(issue.fields.summary, / - main@1a2b3c4 #128$/);
+  assert.deepStrictEqual(issue.fields.labels, ['playwright', 'automated-test', 'test-execution', 'ci-github', 'branch-main']);
+  assert.strictEqual(issue.fields.customfield_10080, SHA);
+  assert.deepStrictEqual(issue.fields.fixVersions, [{ id: '10200' }]);
+  assert.match(JSON.stringify(issue.fields.description), /"text":"Run Context"/);
+  const [link] = jira.requestsTo('POST', `/rest/api/3/issue/${key}/remotelink`);
+  assert.deepStrictEqual(link.body.object, { url: 'https://ci.example.com/run/9001', title: 'GitHub Actions e2e #128' });
+  assert.strictEqual(issue.properties[EXECUTION_PROPERTY].commit, SHA);
+});
+
+test('a fixVersion the project does not have is left out with a warning', async () => {
+  const reporter = new JiraReporter({ history: { enabled: false }, ci: { fixVersion: '9.9.9', values: { commit: SHA, branch: 'main' } } });
+  reporter.testResults = [];
+
+  const { key } = await reporter.createTestExecution({ status: 'passed', duration: 1000 });
+
+  assert.strictEqual(jira.issues.get(key).fields.fixVersions, undefined);
+  assert.match(console.warn.mock.calls[0].arguments[0], /Fix version '9\.9\.9' not found in VAL/);
+  assert.strictEqual(jira.requestsTo('POST', `/rest/api/3/issue/${key}/remotelink`).length, 0);
+});
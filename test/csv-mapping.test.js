@@ -0,0 +1,153 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const CsvMapping = require('../scripts/csv-mapping');
+const TraceabilityMatrixSync = require('../scripts/sync-traceability-to-jira');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({ DRY_RUN: 'false', UPDATE_EXISTING: 'true' });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-mapping-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeMapping(config) {
+  const file = path.join(dir, `mapping-${Date.now()}-${Math.random().toString(16).slice(2)}.js`);
+  fs.writeFileSync(file, `module.exports = ${JSON.stringify(config)};`, 'utf8');
+  return file;
+}
+
+const texts = node => (node.type === 'text' ? [node.text] : (node.content || []).flatMap(texts));
+
+test('the default mapping maps priority to a field and a label and builds the description', () => {
+  const mapping = CsvMapping.load();
+  const critical = mapping.parseRow({
+    'Test ID': ' VAL-001 ',
+    'Test Name': 'Login',
+    'Requirement/Feature': 'VAL-12, Checkout flow',
+    'POM Methods Used': 'loginPage.login()',
+    'Priority': 'Critical',
+    'Status': ''
+  });
+
+  assert.deepStrictEqual([critical.testId, critical.testName], ['VAL-001', 'Login']);
+  assert.deepStrictEqual(mapping.fields(critical), { priority: { name: 'Highest' } });
+  assert.deepStrictEqual(mapping.labelsFor(critical), ['automated-test', 'playwright', 'critical']);
+  assert.deepStrictEqual(mapping.requirementsFor(critical), ['VAL-12', 'Checkout flow']);
+  const description = mapping.description(critical);
+  assert.deepStrictEqual(texts(description).slice(0, 3), ['Test Information', 'Requirement/Feature: ', 'VAL-12, Checkout flow']);
+  assert.ok(description.content.some(node => node.type === 'codeBlock'));
+  assert.match(JSON.stringify(description), /"type":"status","attrs":\{"text":"To Do"/);
+
+  const unset = mapping.parseRow({ 'Test ID': 'VAL-002', 'Test Name': 'Logout', 'Priority': '' });
+  assert.deepStrictEqual(mapping.fields(unset), { priority: { name: 'Medium' } });
+  assert.deepStrictEqual(mapping.labelsFor(unset), ['automated-test', 'playwright', 'medium']);
+  assert.strictEqual(mapping.parseRow({ 'Test ID': 'VAL-003', 'Test Name': ' ' }), null);
+});
+
+test('each field type gets the shape Jira expects', () => {
+  const mapping = new CsvMapping({
+    issueType: 'Test',
+    columns: {
+      'ID': { to: 'testId' },
+      'Name': { to: 'testName' },
+      'Points': { to: 'field', field: 'customfield_10016', type: 'number' },
+      'Components': { to: 'field', field: 'components', type: 'names' },
+      'Browsers': { to: 'field', field: 'customfield_10051', type: 'options', separator: ';' },
+      'Tags': { to: 'field', field: 'customfield_10052', type: 'array' },
+      'Owner': { to: 'field', field: 'customfield_10053', type: 'user' },
+      'Area': [{ to: 'field', field: 'customfield_10054', type: 'option', transform: 'uppercase' }, { to: 'label' }]
+    }
+  });
+
+  const testCase = mapping.parseRow({
+    ID: 'VAL-001', Name: 'Login', Points: '3', Components: 'Auth, Web', Browsers: 'chromium; firefox',
+    Tags: 'smoke,,regression', Owner: '5b10a2844c20165700ede21g', Area: 'Sign in'
+  });
+
+  assert.deepStrictEqual(mapping.fields(testCase), {
+    customfield_10016: 3,
+    components: [{ name: 'Auth' }, { name: 'Web' }],
+    customfield_10051: [{ value: 'chromium' }, { value: 'firefox' }],
+    customfield_10052: ['smoke', 'regression'],
+    customfield_10053: { accountId: '5b10a2844c20165700ede21g' },
+    customfield_10054: { value: 'SIGN IN' }
+  });
+  assert.deepStrictEqual(mapping.labelsFor(testCase), ['Sign-in']);
+});
+
+test('every mistake in a mapping is reported at once', () => {
+  assert.throws(() => new CsvMapping({
+    issueType: '',
+    columns: {
+      'Name': { to: 'testName' },
+      'Summary': { to: 'field', field: 'summary' },
+      'Points': { to: 'field', field: 'customfield_10016', type: 'float' },
+      'Notes': { to: 'description', style: 'markdown', transform: 'capitalize' },
+      'Owner': { to: 'assignee' }
+    }
+  }), error => {
+    assert.deepStrictEqual(error.message.split('\n  - ').slice(1), [
+      'issueType must be a non-empty string',
+      "columns['Summary'].field cannot be summary, the sync sets it",
+      "columns['Points'].type must be one of string, number, name, option, names, options, array, user (got \"float\")",
+      "columns['Notes'].style must be one of field, text, code, status (got \"markdown\")",
+      "columns['Notes'].transform must be one of lowercase, uppercase, trim",
+      "columns['Owner'].to must be one of testId, testName, field, label, description, requirement (got \"assignee\")",
+      'exactly one column must map to testId'
+    ]);
+    return true;
+  });
+});
+
+test('a custom mapping is merged over the default column by column', () => {
+  const mapping = CsvMapping.load(writeMapping({
+    issueType: 'Test',
+    columns: { 'Priority': null, 'Component': { to: 'field', field: 'components', type: 'names' } }
+  }));
+
+  assert.strictEqual(mapping.issueType, 'Test');
+  assert.deepStrictEqual(mapping.targets.map(t => t.column), [
+    'Test ID', 'Test Name', 'Requirement/Feature', 'Requirement/Feature', 'Test Method', 'POM Methods Used',
+    'Verification Points', 'Status', 'Component'
+  ]);
+  assert.strictEqual(mapping.requirements.linkType, 'Tests');
+  assert.throws(() => CsvMapping.load(path.join(dir, 'missing.js')), /Unable to load CSV mapping from .*missing\.js/);
+});
+
+test('the sync creates issues with the mapped fields and labels', async () => {
+  const csvFile = path.join(dir, 'matrix.csv');
+  fs.writeFileSync(csvFile, ['Test ID,Test Name,Priority,Component', 'VAL-001,Login,Minor,"Auth, Web"'].join('\n'), 'utf8');
+  const mapping = writeMapping({ issueType: 'Test', columns: { 'Component': { to: 'field', field: 'components', type: 'names' } } });
+
+  await new TraceabilityMatrixSync({ mapping, checkpoint: path.join(dir, 'checkpoint.json') }).syncTraceabilityMatrix(csvFile);
+
+  const [issue] = jira.issues.values();
+  assert.strictEqual(issue.fields.summary, 'VAL-001: Login');
+  assert.strictEqual(issue.fields.issuetype.name, 'Test');
+  assert.deepStrictEqual(issue.fields.priority, { name: 'Lowest' });
+  assert.deepStrictEqual(issue.fields.components, [{ name: 'Auth' }, { name: 'Web' }]);
+  assert.deepStrictEqual(issue.fields.labels, ['automated-test', 'playwright', 'minor', 'VAL-001']);
+});
@@ -0,0 +1,130 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const JiraReporter = require('../reporters/jira-reporter');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  jira.routes.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-exporters-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const startTime = '2026-10-19T08:00:00.000Z';
+
+const RESULTS = [
+  { testId: 'VAL-001', title: 'Login', project: 'chromium', status: 'passed', duration: 1000, attempts: 1, startTime },
+  {
+    testId: 'VAL-001', title: 'Login', project: 'firefox', status: 'failed', duration: 2000, attempts: 2, startTime,
+    error: 'Error: expect(locator).toBeVisible() failed\n\nLocator: #login',
+    attachments: [{ name: 'stdout', contentType: 'text/plain', body: Buffer.from('log') }]
+  },
+  { testId: 'VAL-002', title: 'Checkout', project: 'chromium', status: 'skipped', duration: 0, attempts: 1, startTime }
+];
+
+function reporter(backends, options = {}) {
+  const exporting = new JiraReporter({
+    history: { enabled: false },
+    backends,
+    ...options,
+    xray: { outputFile: path.join(dir, 'xray.json'), baseURL: jira.url, ...options.xray },
+    zephyr: { outputFile: path.join(dir, 'zephyr.json'), baseURL: jira.url, ...options.zephyr }
+  });
+  exporting.testResults = RESULTS;
+  return exporting;
+}
+
+const written = name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+
+test('the Xray import has one entry per test ID with the worst status of its projects', async () => {
+  const login = jira.addIssue({ summary: 'VAL-001: Login' });
+
+  await reporter(['xray'], { xray: { testPlanKey: 'VAL-90' } }).exportExecution();
+
+  const { info, tests } = written('xray.json');
+  assert.deepStrictEqual(info.testEnvironments, ['chromium', 'firefox']);
+  assert.strictEqual(info.project, 'VAL');
+  assert.strictEqual(info.testPlanKey, 'VAL-90');
+  assert.deepStrictEqual(tests.map(t => [t.testKey, t.status]), [[login.key, 'FAILED'], [undefined, 'TODO']]);
+  assert.strictEqual(tests[0].comment, '[chromium] PASSED\n[firefox] FAILED: Error: expect(locator).toBeVisible() failed');
+  assert.strictEqual(tests[0].finish, '2026-10-19T08:00:02.000Z');
+  assert.deepStrictEqual(tests[0].evidence, [{ data: Buffer.from('log').toString('base64'), filename: 'stdout', contentType: 'text/plain' }]);
+  assert.deepStrictEqual(tests[1].testInfo, { projectKey: 'VAL', summary: 'Checkout', type: 'Generic', definition: 'VAL-002' });
+  assert.strictEqual(jira.requestsTo('POST', /\/import\/execution$/).length, 0);
+});
+
+test('Xray Cloud imports authenticate first, Server imports go through Jira', async () => {
+  jira.on('POST', /^\/api\/v2\/authenticate$/, request =>
+    (request.body.client_secret === 'secret' ? { data: 'xray-token' } : { status: 401 }));
+  jira.on('POST', /^\/api\/v2\/import\/execution$/, () => ({ data: { key: 'VAL-100' } }));
+  jira.on('POST', /^\/rest\/raven\/1\.0\/import\/execution$/, () => ({ data: { testExecIssue: { key: 'VAL-101' } } }));
+
+  const cloud = reporter(['xray'], { xray: { post: true, clientId: 'id', clientSecret: 'secret' } });
+  assert.deepStrictEqual(await cloud.exporters.xray.export(RESULTS, { summary: 'Run', startTime: new Date(startTime), endTime: new Date() }),
+    { file: path.join(dir, 'xray.json'), key: 'VAL-100' });
+  assert.strictEqual(jira.requestsTo('POST', '/api/v2/import/execution')[0].headers.authorization, 'Bearer xray-token');
+
+  const server = reporter(['xray'], { xray: { post: true, cloud: false } });
+  const { key } = await server.exporters.xray.export(RESULTS, { summary: 'Run', startTime: new Date(startTime), endTime: new Date() });
+  assert.strictEqual(key, 'VAL-101');
+  assert.strictEqual(written('xray.json').tests[0].status, 'FAIL');
+  assert.strictEqual(written('xray.json').info.project, undefined);
+});
+
+test('the Zephyr Scale cycle gets an execution per known test case', async () => {
+  jira.on('GET', /^\/testcases$/, request => (request.query.startAt === '0'
+    ? { data: { values: [{ key: 'VAL-T1', name: 'VAL-001: Login' }], isLast: false } }
+    : { data: { values: [{ key: 'VAL-T2', name: 'Unrelated' }], isLast: true } }));
+  jira.on('POST', /^\/testcycles$/, () => ({ status: 201, data: { key: 'VAL-R1' } }));
+  jira.on('POST', /^\/testexecutions$/, () => ({ status: 201, data: {} }));
+
+  await reporter(['zephyr'], { zephyr: { post: true, apiToken: 'token', useEnvironments: true } }).exportExecution();
+
+  const { testCycle, testExecutions } = written('zephyr.json');
+  assert.strictEqual(testCycle.projectKey, 'VAL');
+  assert.deepStrictEqual(testExecutions.map(e => [e.testCaseKey, e.statusName, e.environmentName]), [
+    ['VAL-T1', 'Pass', 'chromium'],
+    ['VAL-T1', 'Fail', 'firefox'],
+    ['VAL-002', 'Not Executed', 'chromium']
+  ]);
+  assert.strictEqual(testExecutions[1].comment, '[firefox] Login (2 attempts)<br>Error: expect(locator).toBeVisible() failed');
+  const posted = jira.requestsTo('POST', '/testexecutions');
+  assert.deepStrictEqual(posted.map(r => [r.body.testCaseKey, r.body.testCycleKey]), [['VAL-T1', 'VAL-R1'], ['VAL-T1', 'VAL-R1']]);
+  assert.strictEqual(posted[0].headers.authorization, 'Bearer token');
+});
+
+test('an export that cannot be posted does not stop the other backends', async () => {
+  await reporter(['zephyr', 'xray'], { xray: { post: true, clientId: '' }, zephyr: { post: true } }).exportExecution();
+
+  const errors = console.error.mock.calls.map(c => c.arguments.join(' '));
+  assert.deepStrictEqual(errors, [
+    'Error exporting execution to zephyr: Zephyr Scale import needs ZEPHYR_API_TOKEN',
+    'Error exporting execution to xray: Xray Cloud import needs XRAY_CLIENT_ID and XRAY_CLIENT_SECRET'
+  ]);
+  assert.ok(fs.existsSync(path.join(dir, 'xray.json')));
+  assert.ok(!fs.existsSync(path.join(dir, 'zephyr.json')));
+});
@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealingBackup = require('../scripts/healing-backup');
+
+let root;
+let spec;
+
+beforeEach(() => {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'healing-backup-test-')));
+  spec = path.join(root, 'tests', 'shop.spec.ts');
+  fs.mkdirSync(path.dirname(spec));
+  fs.writeFileSync(spec, 'original', 'utf8');
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function session(sessionId, options = {}) {
+  return new HealingBackup({ backupDir: path.join(root, 'test-backups'), sessionId, ...options });
+}
+
+test('a session keeps each file as it was before its first edit and restores it', () => {
+  const backup = session('s1');
+
+  const backupPath = backup.backup(spec);
+  fs.writeFileSync(spec, 'first fix', 'utf8');
+  assert.strictEqual(backup.backup(spec), backupPath);
+  fs.writeFileSync(spec, 'second fix', 'utf8');
+
+  assert.strictEqual(fs.readFileSync(backupPath, 'utf8'), 'original');
+  assert.deepStrictEqual(backup.listSessions().map(s => [s.sessionId, s.files.length]), [['s1', 1]]);
+  assert.strictEqual(session('other').restoreSession().sessionId, 's1');
+  assert.strictEqual(fs.readFileSync(spec, 'utf8'), 'original');
+});
+
+test('backups mirror the path within the project', () => {
+  const cwd = process.cwd();
+  process.chdir(root);
+  try {
+    const backupPath = session('s1').backup(spec);
+    assert.strictEqual(backupPath, path.join(root, 'test-backups', 's1', 'tests', 'shop.spec.ts'));
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test('only the newest sessions are kept', () => {
+  ['s1', 's2', 's3'].forEach(sessionId => session(sessionId, { keepBackups: 2 }).backup(spec));
+
+  assert.deepStrictEqual(session('s4').listSessions().map(s => s.sessionId), ['s2', 's3']);
+  assert.ok(!fs.existsSync(path.join(root, 'test-backups', 's1')));
+});
+
+test('nothing is written when backups are disabled, and unknown sessions cannot be restored', () => {
+  const backup = session('s1', { enabled: false });
+
+  assert.strictEqual(backup.backup(spec), null);
+  assert.ok(!fs.existsSync(backup.backupDir));
+  assert.throws(() => backup.restoreSession(), /No healing backups found/);
+  assert.throws(() => session('s2').restoreSession('missing'), /Healing session not found: missing/);
+});
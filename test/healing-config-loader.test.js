@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadHealingConfig, validateHealingConfig } = require('../reporters/healing-config-loader');
+const defaults = require('../scripts/healing-config');
+
+test('the default healing config is valid', () => {
+  assert.deepStrictEqual(validateHealingConfig(defaults), []);
+});
+
+test('reporter options are merged over the defaults', () => {
+  const config = loadHealingConfig({ autoHeal: false, healing: { strategies: { selector: { addFirstSelector: false } } } });
+
+  assert.strictEqual(config.autoHeal.enabled, false);
+  assert.strictEqual(config.strategies.selector.addFirstSelector, false);
+  assert.strictEqual(config.strategies.selector.addExactMatching, true);
+});
+
+test('unknown settings are rejected', () => {
+  assert.throws(
+    () => loadHealingConfig({ healing: { strategies: { timeout: { retries: 2 } } } }),
+    /strategies\.timeout\.retries is not a known setting/
+  );
+});
+
+test('the deprecated fixes lists are accepted with a warning', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const config = loadHealingConfig({ healing: { strategies: { timeout: { fixes: ['increase_test_timeout'] } } } });
+
+  assert.deepStrictEqual(config.strategies.timeout.fixes, ['increase_test_timeout']);
+  assert.deepStrictEqual(warn.mock.calls.map(c => c.arguments[0]), [
+    'Healing config: strategies.timeout.fixes is deprecated and has no effect, remove it'
+  ]);
+});
+
+test('every problem is listed', () => {
+  const errors = validateHealingConfig({ ...defaults, autoHeal: { ...defaults.autoHeal, maxRetries: 0, mode: 'fix' } });
+
+  assert.deepStrictEqual(errors, [
+    'autoHeal.maxRetries must be a positive integer (got 0)',
+    "autoHeal.mode must be one of apply, propose (got \"fix\")"
+  ]);
+});
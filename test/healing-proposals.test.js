@@ -0,0 +1,115 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const { applyPatch } = require('diff');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const JiraReporter = require('../reporters/jira-reporter');
+
+const SPEC = [
+  "import { test } from '@playwright/test';",
+  '',
+  "test('VAL-001: checkout', async ({ page }) => {",
+  "  await page.goto('/checkout');",
+  '});',
+  ''
+].join('\n');
+
+let jira;
+let restoreEnv;
+let root;
+let cwd;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({
+    GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com'
+  });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'healing-proposals-test-')));
+  fs.mkdirSync(path.join(root, 'tests'));
+  fs.writeFileSync(path.join(root, 'tests', 'shop.spec.ts'), SPEC, 'utf8');
+  cwd = process.cwd();
+  process.chdir(root);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  process.chdir(cwd);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf8' }).trim();
+
+// A propose-mode reporter whose only failure is healed by the first fix
+function proposing(proposals = {}) {
+  const reporter = new JiraReporter({
+    healing: {
+      autoHeal: { concurrency: 1, mode: 'propose' },
+      proposals: { patchDir: path.join(root, 'healing-patches'), ...proposals },
+      jira: { createHealingIssues: false, updateOriginalIssues: false },
+      backup: { backupDir: path.join(root, 'test-backups') },
+      logging: { verbose: false, logFile: path.join(root, 'healing.log') }
+    }
+  });
+  const file = path.join(root, 'tests', 'shop.spec.ts');
+  reporter.failedTests = [{
+    testId: 'VAL-001',
+    testIds: ['VAL-001'],
+    project: 'chromium',
+    status: 'failed',
+    error: 'page.goto: net::ERR_CONNECTION_RESET',
+    errorLocation: { file, line: 4, column: 14 },
+    file,
+    line: 3
+  }];
+  mock.method(reporter, 'runPlaywrightDebug', async () => ({ success: false, log: '' }));
+  mock.method(reporter, 'rerunSingleTest', async () => ({ status: 'passed' }));
+  return reporter;
+}
+
+test('a validated fix is written as a patch and the spec stays as it was', async () => {
+  const reporter = proposing();
+
+  const [result] = await reporter.autoHealFailedTests();
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'tests', 'shop.spec.ts'), 'utf8'), SPEC);
+  assert.strictEqual(result.patch, path.join(root, 'healing-patches', reporter.healingBackup.sessionId, 'VAL-001-chromium.patch'));
+  const patch = fs.readFileSync(result.patch, 'utf8');
+  assert.match(patch, /^diff --git a\/tests\/shop\.spec\.ts b\/tests\/shop\.spec\.ts\n/);
+  assert.match(applyPatch(SPEC, patch), /goto\('\/checkout', \{ waitUntil: 'load'/);
+  assert.strictEqual(reporter.healingProposals.branch, null);
+});
+
+test('patches are committed on a branch without touching the checkout', async () => {
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-qm', 'Initial');
+  const head = git('rev-parse', '--abbrev-ref', 'HEAD');
+  fs.writeFileSync(path.join(root, 'notes.txt'), 'uncommitted', 'utf8');
+  const reporter = proposing({ createBranch: true, branchPrefix: 'auto-heal/' });
+
+  await reporter.autoHealFailedTests();
+
+  const branch = `auto-heal/${reporter.healingBackup.sessionId}`;
+  assert.strictEqual(reporter.healingProposals.branch, branch);
+  assert.match(git('show', `${branch}:tests/shop.spec.ts`), /waitUntil: 'load'/);
+  assert.strictEqual(git('rev-parse', '--abbrev-ref', 'HEAD'), head);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'tests', 'shop.spec.ts'), 'utf8'), SPEC);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'notes.txt'), 'utf8'), 'uncommitted');
+  assert.strictEqual(git('worktree', 'list').split('\n').length, 1);
+});
@@ -0,0 +1,210 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const HealingWorkspace = require('../reporters/healing-workspace');
+const JiraReporter = require('../reporters/jira-reporter');
+
+const SPEC = [
+  "import { test } from '@playwright/test';",
+  '',
+  "test('VAL-001: checkout', async ({ page }) => {",
+  "  await page.goto('/checkout');",
+  "  await page.getByRole('button', { name: 'Pay' }).click();",
+  '});',
+  '',
+  "test('VAL-002: refund', async ({ page }) => {",
+  "  await page.goto('/refunds');",
+  "  await page.getByRole('button', { name: 'Refund' }).click();",
+  '});',
+  ''
+].join('\n');
+
+let jira;
+let restoreEnv;
+let root;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'healing-test-')));
+  fs.mkdirSync(path.join(root, 'tests'));
+  fs.writeFileSync(path.join(root, 'tests', 'shop.spec.ts'), SPEC, 'utf8');
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function reporter(autoHeal = {}) {
+  return new JiraReporter({
+    healing: {
+      autoHeal: { concurrency: 1, ...autoHeal },
+      jira: { createHealingIssues: false, updateOriginalIssues: false },
+      backup: { backupDir: path.join(root, 'test-backups') },
+      logging: { verbose: false, logFile: path.join(root, 'healing.log') }
+    }
+  });
+}
+
+// A failure of the navigation in VAL-001 (line 4), in one project
+function failure(project, testId = 'VAL-001') {
+  const file = path.join(root, 'tests', 'shop.spec.ts');
+  const line = testId === 'VAL-001' ? 3 : 8;
+  return {
+    testId,
+    testIds: [testId],
+    project,
+    status: 'failed',
+    error: 'page.goto: net::ERR_CONNECTION_RESET',
+    errorLocation: { file, line: line + 1, column: 14 },
+    file,
+    line
+  };
+}
+
+test('a workspace copies the spec directory and root files and links the rest', () => {
+  fs.mkdirSync(path.join(root, 'pages'));
+  fs.writeFileSync(path.join(root, 'pages', 'checkout.ts'), 'export {};', 'utf8');
+  fs.writeFileSync(path.join(root, 'playwright.config.ts'), 'export default {};', 'utf8');
+  ['.git', 'test-results', 'playwright-report', 'blob-report'].forEach(dir => fs.mkdirSync(path.join(root, dir)));
+
+  const workspace = new HealingWorkspace(path.join(root, 'tests', 'shop.spec.ts'), root).create();
+  try {
+    assert.strictEqual(workspace.file, path.join(workspace.dir, 'tests', 'shop.spec.ts'));
+    assert.ok(fs.lstatSync(path.join(workspace.dir, 'tests')).isDirectory());
+    assert.ok(fs.lstatSync(path.join(workspace.dir, 'playwright.config.ts')).isFile());
+    assert.ok(fs.lstatSync(path.join(workspace.dir, 'pages')).isSymbolicLink());
+    assert.deepStrictEqual(
+      ['.git', 'test-results', 'playwright-report', 'blob-report'].filter(dir => fs.existsSync(path.join(workspace.dir, dir))),
+      []
+    );
+
+    fs.writeFileSync(workspace.file, 'edited', 'utf8');
+    assert.strictEqual(fs.readFileSync(path.join(root, 'tests', 'shop.spec.ts'), 'utf8'), SPEC);
+  } finally {
+    workspace.remove();
+  }
+  assert.strictEqual(workspace.dir, null);
+});
+
+test('a spec outside the project cannot get a workspace', () => {
+  assert.throws(() => new HealingWorkspace(path.join(os.tmpdir(), 'elsewhere.spec.ts'), root), /outside/);
+});
+
+test('healed specs are merged as patches, and a fix already there counts as applied', () => {
+  const specFile = path.join(root, 'tests', 'shop.spec.ts');
+  const healing = reporter();
+  const checkout = SPEC.replace("goto('/checkout')", "goto('/checkout', { waitUntil: 'load' })");
+  const refund = SPEC.replace("goto('/refunds')", "goto('/refunds', { waitUntil: 'load' })");
+
+  assert.strictEqual(healing.writeHealedSpec(specFile, SPEC, checkout), true);
+  assert.strictEqual(healing.writeHealedSpec(specFile, SPEC, refund), true);
+  const merged = fs.readFileSync(specFile, 'utf8');
+  assert.match(merged, /goto\('\/checkout', \{ waitUntil: 'load' \}\)/);
+  assert.match(merged, /goto\('\/refunds', \{ waitUntil: 'load' \}\)/);
+
+  assert.strictEqual(healing.writeHealedSpec(specFile, SPEC, checkout), true);
+  assert.strictEqual(fs.readFileSync(specFile, 'utf8'), merged);
+
+  const conflicting = SPEC.replace("goto('/checkout')", "goto('/checkout', { timeout: 60000 })");
+  assert.strictEqual(healing.writeHealedSpec(specFile, SPEC, conflicting), false);
+  assert.strictEqual(fs.readFileSync(specFile, 'utf8'), merged);
+});
+
+test('a test failing in several projects is healed once, and every failure gets the result', async () => {
+  const cwd = process.cwd();
+  process.chdir(root);
+  try {
+    const healing = reporter({ concurrency: 3 });
+    healing.failedTests = [failure('chromium'), failure('firefox'), failure('webkit')];
+    mock.method(healing, 'runPlaywrightDebug', async () => ({ success: false, log: '' }));
+    mock.method(healing, 'rerunSingleTest', async () => ({ status: 'passed' }));
+
+    const results = await healing.autoHealFailedTests();
+
+    assert.strictEqual(healing.runPlaywrightDebug.mock.callCount(), 1);
+    assert.deepStrictEqual(healing.rerunSingleTest.mock.calls[0].arguments[0].projects, ['chromium', 'firefox', 'webkit']);
+    assert.deepStrictEqual(results.map(r => [r.testId, r.success]), [['VAL-001', true], ['VAL-001', true], ['VAL-001', true]]);
+    const spec = fs.readFileSync(path.join(root, 'tests', 'shop.spec.ts'), 'utf8');
+    assert.strictEqual(spec.match(/waitUntil/g).length, 1);
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test('a fix failing in one of the projects is not applied', async () => {
+  const healing = reporter();
+  healing.failedTests = [failure('chromium'), failure('firefox')];
+  mock.method(healing, 'runPlaywrightDebug', async () => ({ success: false, log: '' }));
+  mock.method(healing, 'rerunSingleTest', async () => healing.rerunOutcome({
+    suites: [{
+      suites: [{
+        specs: [{
+          tests: [
+            { projectName: 'chromium', results: [{ status: 'passed', duration: 10 }] },
+            { projectName: 'firefox', results: [{ status: 'failed', duration: 12, error: { message: 'page.goto: net::ERR_ABORTED' } }] }
+          ]
+        }]
+      }]
+    }]
+  }, null));
+  mock.method(healing, 'healSingleTest', async failedTest => {
+    assert.strictEqual(healing.testSelector(failedTest, root), '"tests/shop.spec.ts:3" --project="chromium" --project="firefox"');
+    const workspace = new HealingWorkspace(failedTest.file, root).create();
+    try {
+      return await healing.healInWorkspace(failedTest, workspace);
+    } finally {
+      workspace.remove();
+    }
+  });
+
+  const results = await healing.autoHealFailedTests();
+
+  assert.deepStrictEqual(results.map(r => [r.success, r.finalStatus]), [[false, 'failed'], [false, 'failed']]);
+  assert.strictEqual(results[0].rerunResult.error, 'page.goto: net::ERR_ABORTED');
+  assert.strictEqual(fs.readFileSync(path.join(root, 'tests', 'shop.spec.ts'), 'utf8'), SPEC);
+});
+
+test('tests not started within the time budget are not attempted', async () => {
+  const healing = reporter({ timeBudget: 20 });
+  healing.failedTests = [failure('chromium'), failure('chromium', 'VAL-002')];
+  mock.method(healing, 'healSingleTest', async failedTest => {
+    await new Promise(resolve => setTimeout(resolve, 40));
+    return { testId: failedTest.testId, success: true, appliedFixes: [], finalStatus: 'passed' };
+  });
+
+  const results = await healing.autoHealFailedTests();
+
+  assert.strictEqual(healing.healSingleTest.mock.callCount(), 1);
+  assert.deepStrictEqual(results.map(r => [r.testId, r.success, Boolean(r.notAttempted)]), [
+    ['VAL-001', true, false],
+    ['VAL-002', false, true]
+  ]);
+  assert.strictEqual(healing.healingStatus(results[1]), 'not attempted');
+});
+
+test('command timeouts are cut short by the healing deadline', () => {
+  const healing = reporter();
+
+  assert.strictEqual(healing.healingTimeout(120000), 120000);
+  healing.healingDeadline = Date.now() + 5000;
+  const timeout = healing.healingTimeout(120000);
+  assert.ok(timeout > 0 && timeout <= 5000, `got ${timeout}`);
+  healing.healingDeadline = Date.now() - 1000;
+  assert.strictEqual(healing.healingTimeout(120000), 1);
+});
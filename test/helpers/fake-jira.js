@@ -0,0 +1,189 @@
+// test/helpers/fake-jira.js
+// In-memory Jira for the tests: an http server on an ephemeral port that keeps issues, properties,
+// comments and attachments, answers /rest/api/3/search/jql a page at a time and records every request.
+const http = require('http');
+
+class FakeJira {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.projectKey] - default 'VAL'
+   * @param {number} [options.pageSize] - issues per search page, whatever maxResults asks for; default 50
+   */
+  constructor(options = {}) {
+    this.projectKey = options.projectKey || 'VAL';
+    this.pageSize = options.pageSize || 50;
+    this.issues = new Map();
+    this.requests = [];
+    this.routes = [];
+    this.nextId = 10000;
+    this.server = null;
+    this.url = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://fake-jira');
+        // Multipart uploads are kept as text
+        const json = body && !/^multipart\//.test(req.headers['content-type'] || '');
+        const request = {
+          method: req.method,
+          path: url.pathname,
+          query: Object.fromEntries(url.searchParams),
+          headers: req.headers,
+          body: json ? JSON.parse(body) : body || undefined
+        };
+        this.requests.push(request);
+
+        const { status = 200, data = {}, headers = {} } = this.handle(request) || { status: 404, data: { errorMessages: ['Not found'] } };
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+      });
+    });
+    return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+      this.url = `http://127.0.0.1:${this.server.address().port}`;
+      resolve(this);
+    }));
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Sets the env the Jira client reads; returns a function restoring the previous values
+  useEnv(extra = {}) {
+    const values = { JIRA_BASE_URL: this.url, JIRA_EMAIL: 'tester@example.com', JIRA_API_TOKEN: 'token', JIRA_PROJECT_KEY: this.projectKey, JIRA_LOG_LEVEL: 'off', ...extra };
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    Object.assign(process.env, values);
+    return () => Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+
+  // Custom answer for matching requests, checked before the built-in ones: fn(request) -> { status, data, headers } or undefined
+  on(method, pathPattern, fn) {
+    this.routes.push({ method, pathPattern, fn });
+  }
+
+  addIssue(fields = {}, properties = {}) {
+    const id = String(this.nextId++);
+    const key = `${this.projectKey}-${this.issues.size + 1}`;
+    const issue = {
+      id,
+      key,
+      fields: { labels: [], status: { id: '1', name: 'To Do' }, issuetype: { id: '10001', name: 'Story' }, ...fields, updated: new Date().toISOString() },
+      properties: { ...properties },
+      comments: [],
+      attachments: []
+    };
+    this.issues.set(key, issue);
+    return issue;
+  }
+
+  requestsTo(method, pathPattern) {
+    return this.requests.filter(r => r.method === method && (pathPattern instanceof RegExp ? pathPattern.test(r.path) : r.path === pathPattern));
+  }
+
+  handle(request) {
+    const route = this.routes.find(r => r.method === request.method && r.pathPattern.test(request.path));
+    const custom = route && route.fn(request);
+    if (custom) return custom;
+
+    const { method, path: requestPath, body } = request;
+    let match;
+
+    if (method === 'GET' && (match = requestPath.match(/^\/rest\/api\/3\/project\/([^/]+)$/))) {
+      return match[1] === this.projectKey ? { data: { key: this.projectKey, name: `Project ${this.projectKey}` } } : undefined;
+    }
+    if (method === 'GET' && requestPath === '/rest/api/3/search/jql') {
+      return { data: this.search(request.query) };
+    }
+    if (method === 'POST' && requestPath === '/rest/api/3/issue') {
+      const issue = this.addIssue(this.withIssueType(body.fields));
+      return { status: 201, data: { id: issue.id, key: issue.key } };
+    }
+    if (method === 'POST' && requestPath === '/rest/api/3/issue/bulk') {
+      const issues = body.issueUpdates.map(update => this.addIssue(this.withIssueType(update.fields)));
+      return { status: 201, data: { issues: issues.map(i => ({ id: i.id, key: i.key })), errors: [] } };
+    }
+
+    match = requestPath.match(/^\/rest\/api\/3\/issue\/([^/]+)(\/.*)?$/);
+    const issue = match && this.issues.get(match[1]);
+    if (!issue) return undefined;
+    const rest = match[2] || '';
+
+    if (method === 'GET' && rest === '') return { data: this.view(issue) };
+    if (method === 'PUT' && rest === '') {
+      Object.assign(issue.fields, body.fields || {});
+      (body.update?.labels || []).forEach(op => {
+        if (op.add && !issue.fields.labels.includes(op.add)) issue.fields.labels.push(op.add);
+        if (op.remove) issue.fields.labels = issue.fields.labels.filter(l => l !== op.remove);
+      });
+      issue.fields.updated = new Date().toISOString();
+      return { status: 204 };
+    }
+    if ((match = rest.match(/^\/properties\/(.+)$/))) {
+      if (method === 'PUT') {
+        issue.properties[match[1]] = body;
+        return { status: 200 };
+      }
+      if (method === 'GET') {
+        return match[1] in issue.properties ? { data: { key: match[1], value: issue.properties[match[1]] } } : undefined;
+      }
+    }
+    if (method === 'POST' && rest === '/attachments') {
+      const added = [...body.matchAll(/filename="([^"]+)"/g)].map(([, filename]) => ({
+        id: String(this.nextId++),
+        filename,
+        content: `${this.url}/secure/attachment/${this.nextId}/${filename}`
+      }));
+      issue.attachments.push(...added);
+      return { data: added };
+    }
+    if (method === 'POST' && rest === '/comment') {
+      issue.comments.push(body);
+      issue.fields.updated = new Date().toISOString();
+      return { status: 201, data: { id: String(issue.comments.length) } };
+    }
+    return undefined;
+  }
+
+  withIssueType(fields) {
+    return { ...fields, issuetype: { id: '10001', name: fields.issuetype?.name || 'Story' } };
+  }
+
+  view(issue, properties = []) {
+    return {
+      id: issue.id,
+      key: issue.key,
+      fields: issue.fields,
+      properties: Object.fromEntries(properties.filter(p => p in issue.properties).map(p => [p, issue.properties[p]]))
+    };
+  }
+
+  // Understands the label and summary clauses the lookups send (summary text ignoring case, like Jira);
+  // other queries match the whole project
+  search({ jql = '', nextPageToken, properties = '' }) {
+    const labels = [...jql.matchAll(/labels = "([^"]+)"/g)].map(m => m[1]);
+    const phrases = [...jql.matchAll(/summary ~ "\\"(.+?)\\""/g)].map(m => m[1]);
+    const matches = [...this.issues.values()].filter(issue => {
+      if (labels.length === 0 && phrases.length === 0) return true;
+      return labels.some(l => issue.fields.labels.includes(l)) ||
+        phrases.some(p => issue.fields.summary?.toLowerCase().includes(p.toLowerCase()));
+    });
+
+    const start = Number(nextPageToken || 0);
+    const page = matches.slice(start, start + this.pageSize);
+    const isLast = start + this.pageSize >= matches.length;
+    return {
+      issues: page.map(issue => this.view(issue, properties.split(',').filter(Boolean))),
+      isLast,
+      nextPageToken: isLast ? undefined : String(start + this.pageSize)
+    };
+  }
+}
+
+module.exports = FakeJira;
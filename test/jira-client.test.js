@@ -0,0 +1,141 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const FakeJira = require('./helpers/fake-jira');
+const adf = require('../scripts/adf');
+const JiraClient = require('../scripts/jira-client');
+const TestCaseLookup = require('../scripts/test-case-lookup');
+
+const TOKEN = 'atl-s3cr3t-value';
+
+let jira;
+let restoreEnv;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({ JIRA_API_TOKEN: TOKEN });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  jira.routes.length = 0;
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Answers the first `count` matching requests with the given failure
+function failFirst(method, pathPattern, count, failure) {
+  let left = count;
+  jira.on(method, pathPattern, () => (left-- > 0 ? failure : undefined));
+}
+
+test('throttled and unavailable requests are retried, waiting as long as Jira asks', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  failFirst('GET', /\/issue\//, 1, { status: 429, data: {}, headers: { 'Retry-After': '0' } });
+  failFirst('POST', /\/comment$/, 2, { status: 503, data: {}, headers: { 'Retry-After': '0' } });
+  // Without Retry-After the backoff would wait a minute
+  const { config } = new JiraClient({ retryDelay: 60000, logLevel: 'warn' });
+
+  const started = Date.now();
+  await axios.get(`/rest/api/3/issue/${issue.key}`, config);
+  await axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'Test passed' }, config);
+
+  assert.strictEqual(jira.requestsTo('GET', `/rest/api/3/issue/${issue.key}`).length, 2);
+  assert.strictEqual(jira.requestsTo('POST', `/rest/api/3/issue/${issue.key}/comment`).length, 3);
+  assert.strictEqual(issue.comments.length, 1);
+  assert.ok(Date.now() - started < 1000);
+  assert.match(console.warn.mock.calls[0].arguments[0], /"event":"jira.retry"/);
+});
+
+test('other server errors are retried only for requests that are safe to repeat', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  failFirst('PUT', /\/issue\/[^/]+$/, 1, { status: 500, data: {} });
+  jira.on('POST', /\/comment$/, () => ({ status: 500, data: {} }));
+  const { config } = new JiraClient({ retryDelay: 1, maxRetries: 2 });
+
+  await axios.put(`/rest/api/3/issue/${issue.key}`, { fields: { summary: 'VAL-001: Sign in' } }, config);
+  await assert.rejects(axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'Test passed' }, config), /500/);
+
+  assert.strictEqual(issue.fields.summary, 'VAL-001: Sign in');
+  assert.strictEqual(jira.requestsTo('POST', `/rest/api/3/issue/${issue.key}/comment`).length, 1);
+});
+
+test('retries stop after maxRetries', async () => {
+  jira.on('GET', /\/issue\//, () => ({ status: 503, data: { errorMessages: ['Down for maintenance'] } }));
+  const { config } = new JiraClient({ retryDelay: 1, maxRetries: 2, logLevel: 'warn' });
+
+  await assert.rejects(axios.get('/rest/api/3/issue/VAL-1', config), /503/);
+
+  assert.strictEqual(jira.requestsTo('GET', '/rest/api/3/issue/VAL-1').length, 3);
+  assert.match(console.warn.mock.calls[2].arguments[0], /"event":"jira.failed".*"attempt":3/);
+});
+
+test('Retry-After in seconds or as a date wins over the backoff, within maxRetryDelay', () => {
+  const client = new JiraClient({ retryDelay: 100, maxRetryDelay: 5000 });
+
+  assert.strictEqual(client.backoff(1, '2'), 2000);
+  assert.strictEqual(client.backoff(1, '120'), 5000);
+  const inAboutOneSecond = client.backoff(1, new Date(Date.now() + 1500).toUTCString());
+  assert.ok(inAboutOneSecond > 0 && inAboutOneSecond <= 1500, `got ${inAboutOneSecond}`);
+  const third = client.backoff(3);
+  assert.ok(third >= 300 && third <= 500, `got ${third}`);
+  const pastDate = client.backoff(1, 'Thu, 01 Jan 1970 00:00:00 GMT');
+  assert.ok(pastDate >= 75 && pastDate <= 125, `got ${pastDate}`);
+});
+
+test('API version 2 gets v2 paths, startAt paging and wiki markup', async () => {
+  const issues = [1, 2, 3].map(n => ({ id: String(n), key: `VAL-${n}`, fields: { summary: `VAL-00${n}: Test` } }));
+  jira.on('GET', /^\/rest\/api\/2\/search$/, request => {
+    const startAt = Number(request.query.startAt);
+    return { data: { startAt, total: issues.length, issues: issues.slice(startAt, startAt + 2) } };
+  });
+  jira.on('POST', /^\/rest\/api\/2\/issue\/VAL-1\/comment$/, () => ({ status: 201, data: { id: '1' } }));
+  const { config } = new JiraClient({ apiVersion: 2 });
+
+  const found = await new TestCaseLookup(config, 'VAL').searchAll('project = "VAL"');
+  await axios.post('/rest/api/3/issue/VAL-1/comment', {
+    body: adf.doc(adf.paragraph(adf.strong('Status: '), 'passed'))
+  }, config);
+
+  assert.deepStrictEqual(found.map(i => i.key), ['VAL-1', 'VAL-2', 'VAL-3']);
+  assert.deepStrictEqual(jira.requestsTo('GET', '/rest/api/2/search').map(r => r.query.startAt), ['0', '2']);
+  assert.deepStrictEqual(jira.requestsTo('POST', '/rest/api/2/issue/VAL-1/comment')[0].body, { body: '*Status:* passed' });
+  assert.strictEqual(jira.requestsTo('GET', '/rest/api/3/search/jql').length, 0);
+});
+
+test('request logs never contain credentials', async () => {
+  const { config } = new JiraClient({ logLevel: 'debug' });
+
+  await axios.post('/rest/api/3/issue', {
+    fields: { summary: `Token ${TOKEN} leaked into a summary` },
+    password: 'hunter2',
+    nested: { client_secret: 'xray', apiToken: 'zephyr' }
+  }, config).catch(() => {});
+
+  const lines = console.log.mock.calls.map(c => c.arguments[0]).join('\n');
+  assert.match(lines, /"event":"jira.request"/);
+  assert.match(lines, /Token \[REDACTED\] leaked/);
+  assert.doesNotMatch(lines, new RegExp(`${TOKEN}|hunter2|xray|zephyr`));
+});
+
+test('missing credentials and unknown settings are reported by name', () => {
+  assert.throws(() => new JiraClient({ authType: 'oauth' }), /Unknown Jira auth type: oauth/);
+  assert.throws(() => new JiraClient({ apiVersion: 4 }), /Unknown Jira API version: 4/);
+
+  const restore = jira.useEnv({ JIRA_EMAIL: '' });
+  try {
+    assert.throws(() => new JiraClient({ name: 'JiraReporter' }), /for JiraReporter: JIRA_EMAIL/);
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,172 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const JiraClient = require('../scripts/jira-client');
+const JiraOutbox = require('../scripts/jira-outbox');
+const JiraReporter = require('../reporters/jira-reporter');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  jira.routes.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-outbox-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Jira config whose writes go through an outbox in the test directory
+function spooling(options = {}) {
+  const config = new JiraClient({ maxRetries: 0 }).config;
+  const outbox = new JiraOutbox({ dir, ...options });
+  outbox.install(config);
+  return { config, outbox };
+}
+
+function replay(outbox) {
+  return outbox.replay(new JiraClient({ maxRetries: 0 }).config, 'VAL');
+}
+
+test('a payload replayed earlier is spooled and sent again by a later run', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login', labels: ['flaky'] });
+  const removeLabel = config => axios.put(`/rest/api/3/issue/${issue.key}`, { update: { labels: [{ remove: 'flaky' }] } }, config);
+
+  const first = spooling({ offline: true });
+  await removeLabel(first.config);
+  await removeLabel(first.config);
+  assert.strictEqual(first.outbox.entryFiles().length, 1);
+  assert.deepStrictEqual(await replay(first.outbox), { sent: 1, skipped: 0, remaining: 0 });
+
+  issue.fields.labels.push('flaky');
+  const second = spooling({ offline: true });
+  await removeLabel(second.config);
+  assert.strictEqual(second.outbox.entryFiles().length, 1);
+  assert.deepStrictEqual(await replay(second.outbox), { sent: 1, skipped: 0, remaining: 0 });
+
+  assert.deepStrictEqual(issue.fields.labels, []);
+  assert.strictEqual(jira.requestsTo('PUT', `/rest/api/3/issue/${issue.key}`).length, 2);
+  assert.deepStrictEqual(second.outbox.loadLedger().sent, {});
+});
+
+test('an interrupted replay does not send an entry it already sent', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  const { config, outbox } = spooling({ offline: true });
+  await axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'Test passed' }, config);
+  const [file] = outbox.entryFiles();
+  outbox.saveLedger({ ...outbox.loadLedger(), sent: { [file]: { seq: file.split('-')[0] } } });
+
+  assert.deepStrictEqual(await replay(outbox), { sent: 0, skipped: 1, remaining: 0 });
+  assert.strictEqual(issue.comments.length, 0);
+});
+
+test('a POST Jira answered with an error is not spooled, one without a response is', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  jira.on('POST', /\/comment$/, () => ({ status: 500, data: { errorMessages: ['Internal error'] } }));
+  const { config, outbox } = spooling();
+
+  await assert.rejects(axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'Test passed' }, config), /500/);
+  assert.deepStrictEqual(outbox.entryFiles(), []);
+
+  // A PUT can be repeated safely
+  jira.on('PUT', /\/issue\/[^/]+$/, () => ({ status: 502 }));
+  await axios.put(`/rest/api/3/issue/${issue.key}`, { fields: { summary: 'VAL-001: Login' } }, config);
+  assert.strictEqual(outbox.entryFiles().length, 1);
+
+  const unreachable = { ...config, baseURL: 'http://127.0.0.1:9' };
+  const response = await axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'Test passed' }, unreachable);
+  assert.strictEqual(response.status, 202);
+  assert.strictEqual(outbox.entryFiles().length, 2);
+});
+
+test('an offline run is replayed in order, with placeholders swapped for the real keys', async () => {
+  const reporter = new JiraReporter({ history: { enabled: false }, outbox: { dir, offline: true } });
+  const failed = {
+    testId: 'VAL-001', testIds: ['VAL-001'], title: 'Login', project: 'chromium', status: 'failed', outcome: 'unexpected',
+    duration: 900, attempts: 1, error: 'Error: timeout',
+    attachments: [{ name: 'stdout', contentType: 'text/plain', body: Buffer.from('log') }]
+  };
+  reporter.testResults = [failed];
+
+  await reporter.syncTestToJira(failed);
+  const execution = await reporter.createTestExecution({ status: 'failed', duration: 900 });
+  await reporter.uploadExecutionAttachments(execution.key);
+
+  assert.strictEqual(jira.requests.length, 0);
+  assert.strictEqual(execution.key, '{outbox:000004}');
+  assert.deepStrictEqual(reporter.outbox.list().map(e => `${e.method} ${e.url}`), [
+    'POST /rest/api/3/issue/{testcase:VAL-001}/attachments',
+    'POST /rest/api/3/issue/{testcase:VAL-001}/comment',
+    'PUT /rest/api/3/issue/{testcase:VAL-001}/properties/playwright.lastResult',
+    'POST /rest/api/3/issue',
+    'PUT /rest/api/3/issue/{outbox:000004}/properties/playwright.execution',
+    'POST /rest/api/3/issue/{outbox:000004}/attachments'
+  ]);
+
+  const testCase = jira.addIssue({ summary: 'VAL-001: Login' });
+  assert.deepStrictEqual(await replay(reporter.outbox), { sent: 6, skipped: 0, remaining: 0 });
+
+  const created = [...jira.issues.values()].find(issue => issue.fields.labels.includes('test-execution'));
+  assert.deepStrictEqual(testCase.attachments.map(a => a.filename), ['chromium-stdout']);
+  assert.match(JSON.stringify(testCase.comments[0]), /Error: timeout/);
+  assert.strictEqual(testCase.properties['playwright.lastResult'].status, 'failed');
+  assert.deepStrictEqual(created.attachments.map(a => a.filename), ['VAL-001-chromium-stdout']);
+  assert.ok('playwright.execution' in created.properties);
+  assert.deepStrictEqual(reporter.outbox.entryFiles(), []);
+});
+
+test('writes about a test case that does not exist are dropped on replay', async () => {
+  const { config, outbox } = spooling({ offline: true });
+  await axios.post('/rest/api/3/issue/{testcase:VAL-404}/comment', { body: 'Test passed' }, config);
+
+  assert.deepStrictEqual(await replay(outbox), { sent: 0, skipped: 1, remaining: 0 });
+  assert.deepStrictEqual(outbox.entryFiles(), []);
+  assert.strictEqual(jira.requestsTo('POST', /\/comment$/).length, 0);
+});
+
+test('replay stops at the first request Jira rejects and continues from it next time', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  let rejections = 1;
+  jira.on('POST', /\/comment$/, () => (rejections-- > 0 ? { status: 400, data: { errorMessages: ['Bad comment'] } } : undefined));
+  const { config, outbox } = spooling({ offline: true });
+  await axios.put(`/rest/api/3/issue/${issue.key}`, { fields: { summary: 'VAL-001: Sign in' } }, config);
+  await axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'first' }, config);
+  await axios.post(`/rest/api/3/issue/${issue.key}/comment`, { body: 'second' }, config);
+
+  assert.deepStrictEqual(await replay(outbox), { sent: 1, skipped: 0, remaining: 2 });
+  assert.strictEqual(issue.fields.summary, 'VAL-001: Sign in');
+  assert.deepStrictEqual(issue.comments, []);
+
+  assert.deepStrictEqual(await replay(outbox), { sent: 2, skipped: 0, remaining: 0 });
+  assert.deepStrictEqual(issue.comments.map(c => c.body), ['first', 'second']);
+});
+
+test('offline mode refuses reads instead of spooling them', async () => {
+  const { config, outbox } = spooling({ offline: true });
+
+  await assert.rejects(axios.get('/rest/api/3/issue/VAL-1', config), { code: 'JIRA_OFFLINE' });
+  assert.deepStrictEqual(outbox.entryFiles(), []);
+  assert.strictEqual(jira.requests.length, 0);
+});
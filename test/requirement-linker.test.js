@@ -0,0 +1,119 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeJira = require('./helpers/fake-jira');
+const JiraClient = require('../scripts/jira-client');
+const RequirementLinker = require('../scripts/requirement-linker');
+const TestCaseLookup = require('../scripts/test-case-lookup');
+
+const EPIC = { id: '10000', name: 'Epic', hierarchyLevel: 1 };
+const TESTS = { id: '10100', name: 'Tests', inward: 'is tested by', outward: 'tests' };
+
+let jira;
+let restoreEnv;
+let linkTypes;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+  jira.on('GET', /^\/rest\/api\/3\/issueLinkType$/, () => ({ data: { issueLinkTypes: linkTypes } }));
+  // Links are kept on the test case, the inward issue
+  jira.on('POST', /^\/rest\/api\/3\/issueLink$/, request => {
+    const testCase = jira.issues.get(request.body.inwardIssue.key);
+    testCase.fields.issuelinks = [...(testCase.fields.issuelinks || []), { type: request.body.type, outwardIssue: request.body.outwardIssue }];
+    return { status: 201 };
+  });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  linkTypes = [{ id: '10001', name: 'Relates', inward: 'relates to', outward: 'relates to' }, TESTS];
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function linker(options = {}) {
+  const { config } = new JiraClient({ maxRetries: 0 });
+  return new RequirementLinker(config, 'VAL', new TestCaseLookup(config, 'VAL'), options, 'Test');
+}
+
+test('keys and names are resolved and linked once, unresolvable ones are reported', async () => {
+  const testCase = jira.addIssue({ summary: 'VAL-001: Login' });
+  const story = jira.addIssue({ summary: 'Sign in with SSO' });
+  const checkout = jira.addIssue({ summary: 'Checkout flow' });
+  jira.addIssue({ summary: 'Checkout flow for guests' });
+  jira.addIssue({ summary: 'Refund by card' });
+  jira.addIssue({ summary: 'Refund by voucher' });
+
+  const result = await linker().link(testCase.key, [story.key, 'checkout flow', 'VAL-999', 'Refund', 'Wishlist']);
+
+  assert.deepStrictEqual(result.linked, [story.key, checkout.key]);
+  assert.deepStrictEqual(result.unresolved, [
+    { requirement: 'VAL-999', reason: 'no issue with this key' },
+    { requirement: 'Refund', reason: 'ambiguous, matches VAL-5, VAL-6' },
+    { requirement: 'Wishlist', reason: 'no issue with this summary' }
+  ]);
+  assert.deepStrictEqual(testCase.fields.issuelinks.map(l => [l.type.name, l.outwardIssue.key]), [['Tests', story.key], ['Tests', checkout.key]]);
+
+  await linker().link(testCase.key, [story.key]);
+  assert.strictEqual(jira.requestsTo('POST', '/rest/api/3/issueLink').length, 2);
+});
+
+test('a requirement named by key and by name is linked once, and each lookup happens once across rows', async () => {
+  const rows = [1, 2, 3].map(n => jira.addIssue({ summary: `VAL-00${n}: Test` }));
+  const story = jira.addIssue({ summary: 'Sign in with SSO' });
+  const shared = linker();
+
+  await Promise.all(rows.map(row => shared.link(row.key, [story.key, 'Sign in with SSO'])));
+
+  assert.strictEqual(jira.requestsTo('GET', `/rest/api/3/issue/${story.key}`).length, 1);
+  assert.strictEqual(jira.requestsTo('GET', '/rest/api/3/search/jql').length, 1);
+  assert.strictEqual(jira.requestsTo('GET', '/rest/api/3/issueLinkType').length, 1);
+  rows.forEach(row => assert.deepStrictEqual(row.fields.issuelinks.map(l => l.outwardIssue.key), [story.key]));
+});
+
+test("the requirement's epic becomes the parent when setParent is on", async () => {
+  const epic = jira.addIssue({ summary: 'Accounts', issuetype: EPIC });
+  const story = jira.addIssue({ summary: 'Sign in with SSO', parent: { key: epic.key, fields: { issuetype: EPIC } } });
+  const cloud = jira.addIssue({ summary: 'VAL-001: Login' });
+  const dataCenter = jira.addIssue({ summary: 'VAL-002: Logout' });
+
+  await linker({ setParent: true }).link(cloud.key, [story.key]);
+  await linker({ setParent: true, parentField: 'customfield_10014' }).link(dataCenter.key, [epic.key]);
+  await linker().link(jira.addIssue({ summary: 'VAL-003: Profile' }).key, [story.key]);
+
+  assert.deepStrictEqual(cloud.fields.parent, { key: epic.key });
+  assert.strictEqual(dataCenter.fields.customfield_10014, epic.key);
+  assert.strictEqual(jira.requestsTo('PUT', /^\/rest\/api\/3\/issue\/[^/]+$/).length, 2);
+});
+
+test('without the link type requirements are resolved but not linked', async () => {
+  linkTypes = [{ id: '10001', name: 'Relates', inward: 'relates to', outward: 'relates to' }];
+  const testCase = jira.addIssue({ summary: 'VAL-001: Login' });
+  const story = jira.addIssue({ summary: 'Sign in with SSO' });
+
+  const result = await linker().link(testCase.key, [story.key]);
+
+  assert.deepStrictEqual(result, { linked: [], unresolved: [] });
+  assert.match(console.warn.mock.calls[0].arguments[0], /Issue link type 'Tests' not found/);
+  assert.strictEqual(jira.requestsTo('POST', '/rest/api/3/issueLink').length, 0);
+});
+
+test('a dry run resolves requirements without writing', async () => {
+  const testCase = jira.addIssue({ summary: 'VAL-001: Login' });
+  const story = jira.addIssue({ summary: 'Sign in with SSO' });
+
+  const result = await linker({ linkType: 'tests' }).link(testCase.key, [story.key], { dryRun: true });
+
+  assert.deepStrictEqual(result.linked, [story.key]);
+  assert.deepStrictEqual(jira.requests.filter(r => r.method !== 'GET'), []);
+});
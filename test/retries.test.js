@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeJira = require('./helpers/fake-jira');
+const JiraReporter = require('../reporters/jira-reporter');
+
+let jira;
+let restoreEnv;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// The parts of a Playwright TestCase the reporter reads; the outcome follows the attempts so far
+function testCase(retries, statuses) {
+  return {
+    id: 'test-1',
+    title: 'VAL-001: Login',
+    tags: [],
+    annotations: [],
+    retries,
+    location: { file: '/project/tests/login.spec.ts', line: 3 },
+    parent: { type: 'file', title: 'login.spec.ts', project: () => ({ name: 'chromium', use: { browserName: 'chromium' } }) },
+    outcome() {
+      const final = statuses[statuses.length - 1];
+      if (final === 'passed') return statuses.length > 1 ? 'flaky' : 'expected';
+      return 'unexpected';
+    }
+  };
+}
+
+// Reports each attempt the way Playwright does, one onTestEnd per attempt
+function run(reporter, retries, attempts) {
+  const statuses = [];
+  const test = testCase(retries, statuses);
+  attempts.forEach((status, retry) => {
+    statuses.push(status);
+    const failed = status !== 'passed';
+    reporter.onTestEnd(test, {
+      retry,
+      status,
+      duration: 100,
+      error: failed ? { message: `Error: attempt ${retry + 1} failed`, location: { file: test.location.file, line: 4 } } : undefined,
+      attachments: failed ? [{ name: 'screenshot', contentType: 'image/png', body: Buffer.from(`shot ${retry + 1}`) }] : []
+    });
+  });
+}
+
+function reporter(options = {}) {
+  return new JiraReporter({ history: { enabled: false }, healing: { autoHeal: { enabled: true } }, syncImmediately: false, ...options });
+}
+
+test('a test passing on retry is recorded once as flaky and not healed', () => {
+  const flaky = reporter();
+
+  run(flaky, 2, ['failed', 'passed']);
+
+  assert.strictEqual(flaky.testResults.length, 1);
+  const [result] = flaky.testResults;
+  assert.deepStrictEqual([result.status, result.outcome, result.attempts], ['passed', 'flaky', 2]);
+  assert.strictEqual(result.error, 'Error: attempt 1 failed');
+  assert.strictEqual(flaky.displayStatus(result), 'flaky');
+  assert.deepStrictEqual(flaky.failedTests, []);
+});
+
+test('a test failing every attempt is recorded once, with the failures of all attempts', () => {
+  const failing = reporter();
+
+  run(failing, 2, ['failed', 'failed', 'timedOut']);
+
+  assert.strictEqual(failing.testResults.length, 1);
+  const [result] = failing.testResults;
+  assert.deepStrictEqual([result.status, result.outcome, result.attempts], ['timedOut', 'unexpected', 3]);
+  assert.strictEqual(result.error, 'Error: attempt 3 failed');
+  assert.strictEqual(result.attachments.length, 3);
+  assert.deepStrictEqual(failing.failedTests, [result]);
+});
+
+test('attempts still waiting for a retry are recorded when the run stops', async () => {
+  const stopped = reporter();
+  mock.method(stopped, 'finishRun', async () => {});
+
+  run(stopped, 2, ['failed']);
+  assert.deepStrictEqual(stopped.testResults, []);
+  await stopped.onEnd({ status: 'interrupted' });
+
+  assert.deepStrictEqual(stopped.testResults.map(r => [r.testId, r.status, r.attempts]), [['VAL-001', 'failed', 1]]);
+});
+
+test('the test case gets one comment for the final result of a flaky test', async () => {
+  const issue = jira.addIssue({ summary: 'VAL-001: Login' });
+  const flaky = reporter({ syncImmediately: true });
+
+  run(flaky, 2, ['failed', 'passed']);
+  await Promise.all(flaky.pendingSyncs);
+
+  assert.strictEqual(issue.comments.length, 1);
+  const comment = JSON.stringify(issue.comments[0]);
+  assert.match(comment, /"text":"FLAKY"/);
+  assert.match(comment, /Error: attempt 1 failed/);
+});
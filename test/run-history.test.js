@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const RunHistory = require('../reporters/run-history');
+const { fingerprintError } = require('../reporters/error-fingerprint');
+const JiraReporter = require('../reporters/jira-reporter');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-history-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const OUTCOMES = { passed: ['passed', 'expected'], flaky: ['passed', 'flaky'], failed: ['failed', 'unexpected'], skipped: ['skipped', 'skipped'] };
+
+// A new history file with one run per entry; each entry is a status, or one status per project
+function history(runs, options = {}) {
+  const runHistory = new RunHistory({ file: path.join(fs.mkdtempSync(path.join(dir, 'runs-')), 'test-history.json'), ...options });
+  runs.forEach(run => {
+    runHistory.recordRun([].concat(run).map((result, i) => {
+      const [status, outcome] = OUTCOMES[result];
+      return { testId: 'VAL-001', project: `project-${i}`, status, outcome, duration: 100 };
+    }));
+  });
+  return runHistory;
+}
+
+test('each run counts once per ID: a failure in any project fails it, skipped runs are left out', () => {
+  const runHistory = history([['passed', 'failed'], ['passed', 'flaky'], ['skipped'], ['passed', 'passed']]);
+
+  assert.deepStrictEqual(runHistory.runStatuses('VAL-001'), ['failed', 'flaky', 'passed']);
+  assert.strictEqual(runHistory.consecutivePasses('VAL-001'), 1);
+  assert.strictEqual(runHistory.analyze('VAL-002'), null);
+});
+
+test('flips and flaky runs make the score, and a test needs enough runs to be flaky', () => {
+  const alternating = history(['passed', 'failed', 'passed', 'failed']).analyze('VAL-001');
+  assert.deepStrictEqual(alternating, { testId: 'VAL-001', runs: 4, passRate: 0.5, flakinessScore: 0.75, trend: 'stable', flaky: true });
+
+  const young = history(['flaky', 'failed']).analyze('VAL-001');
+  assert.strictEqual(young.flakinessScore, 1);
+  assert.strictEqual(young.flaky, false);
+
+  const recovering = history(['failed', 'failed', 'failed', 'passed', 'passed', 'passed']).analyze('VAL-001');
+  assert.strictEqual(recovering.trend, 'improving');
+  assert.strictEqual(recovering.flaky, false);
+});
+
+test('the file keeps the latest runs and only the window is scored', () => {
+  const { file } = history(['failed', 'failed', 'passed', 'passed', 'passed'], { maxRuns: 4 });
+
+  const reloaded = new RunHistory({ file, window: 3 });
+  assert.strictEqual(reloaded.runs.length, 4);
+  assert.deepStrictEqual(reloaded.runStatuses('VAL-001'), ['passed', 'passed', 'passed']);
+  assert.strictEqual(reloaded.analyze('VAL-001').flakinessScore, 0);
+});
+
+test('the same failure gets the same fingerprint across runs', () => {
+  const failure = (error, line = 12) => ({
+    error,
+    file: '/project/tests/checkout.spec.ts',
+    errorLocation: { file: '/project/tests/checkout.spec.ts', line }
+  });
+
+  const first = fingerprintError(failure('\u001b[31mTimeout 30000ms exceeded waiting for http://localhost:3000/pay\u001b[39m'));
+  assert.match(first, /^[0-9a-f]{12}$/);
+  assert.strictEqual(fingerprintError(failure('Timeout 5000ms exceeded waiting for http://localhost:4173/pay')), first);
+  assert.notStrictEqual(fingerprintError(failure('Timeout 30000ms exceeded waiting for http://localhost:3000/pay', 40)), first);
+  assert.strictEqual(fingerprintError({ file: '/project/tests/checkout.spec.ts' }), null);
+
+  // An error raised in a page object is located by the spec's frame in the stack
+  const fromPageObject = {
+    error: 'Element not found',
+    file: '/project/tests/checkout.spec.ts',
+    errorLocation: { file: '/project/pages/checkout.ts', line: 7 },
+    stack: 'Error: Element not found\n    at pay (/project/pages/checkout.ts:7:5)\n    at /project/tests/checkout.spec.ts:12:3'
+  };
+  const movedInPageObject = { ...fromPageObject, stack: fromPageObject.stack.replace(':7:5', ':9:1') };
+  assert.strictEqual(fingerprintError(movedInPageObject), fingerprintError(fromPageObject));
+  const movedInSpec = { ...fromPageObject, stack: fromPageObject.stack.replace(':12:3', ':30:3') };
+  assert.notStrictEqual(fingerprintError(movedInSpec), fingerprintError(fromPageObject));
+});
+
+test('test cases get the flaky label while flaky over the recent runs and lose it once stable', async () => {
+  const flaky = jira.addIssue({ summary: 'VAL-001: Login' });
+  const stable = jira.addIssue({ summary: 'VAL-002: Checkout', labels: ['flaky'] });
+  const reporter = new JiraReporter({ history: { file: path.join(dir, 'test-history.json') } });
+  ['passed', 'failed', 'passed'].forEach(status => {
+    const [, outcome] = OUTCOMES[status];
+    reporter.runHistory.recordRun([
+      { testId: 'VAL-001', project: 'chromium', status, outcome },
+      { testId: 'VAL-002', project: 'chromium', status: 'passed', outcome: 'expected' }
+    ]);
+  });
+  reporter.historyAnalysis = reporter.runHistory.analyzeAll(['VAL-001', 'VAL-002']);
+
+  await reporter.updateFlakyLabels();
+
+  assert.deepStrictEqual(flaky.fields.labels, ['flaky']);
+  assert.deepStrictEqual(stable.fields.labels, []);
+});
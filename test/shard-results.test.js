@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const JiraReporter = require('../reporters/jira-reporter');
+const ShardResults = require('../reporters/shard-results');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shard-results-test-'));
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a sharded run outside CI without a run ID reports on its own', () => {
+  const shards = new ShardResults({ dir });
+  shards.begin({ current: 1, total: 2 }, { provider: 'local', commit: 'abc123' });
+
+  assert.strictEqual(shards.active, false);
+  assert.strictEqual(shards.runId, null);
+  assert.match(console.warn.mock.calls[0].arguments[0], /JIRA_SHARD_RUN_ID/);
+});
+
+test('the CI build or a configured run ID enables shard mode', () => {
+  const ci = new ShardResults({ dir });
+  ci.begin({ current: 1, total: 2 }, { provider: 'github', buildId: '42' });
+  const configured = new ShardResults({ dir, runId: 'nightly-7' });
+  configured.begin({ current: 2, total: 2 }, { provider: 'local' });
+
+  assert.strictEqual(ci.active, true);
+  assert.strictEqual(ci.runId, 'github-42');
+  assert.strictEqual(configured.active, true);
+  assert.strictEqual(configured.runId, 'nightly-7');
+});
+
+test('results of another run are not merged', () => {
+  const earlier = new ShardResults({ dir, runId: 'run-1' });
+  earlier.begin({ current: 1, total: 2 });
+  earlier.write({ shard: earlier.shard });
+
+  const shards = [1, 2].map(current => {
+    const shard = new ShardResults({ dir, runId: 'run-2' });
+    shard.begin({ current, total: 2 });
+    return shard;
+  });
+  shards[1].write({ shard: shards[1].shard });
+
+  assert.strictEqual(shards[1].claimMerge(), false);
+  shards[0].write({ shard: shards[0].shard });
+  assert.strictEqual(shards[0].claimMerge(), true);
+  assert.strictEqual(shards[1].claimMerge(), false);
+});
+
+test('a shard written in one checkout is merged in another, without credentials', async () => {
+  const checkouts = ['shard', 'merge'].map(name => path.join(fs.realpathSync(dir), name));
+  checkouts.forEach(checkout => fs.mkdirSync(checkout));
+  const cwd = process.cwd();
+  const options = {
+    shards: { dir: path.join(dir, 'shard-results'), runId: 'run-1', mergeOnLastShard: false },
+    xray: { post: true, clientId: 'id', clientSecret: 'secret', testPlanKey: 'VAL-90' },
+    zephyr: { apiToken: 'token' },
+    history: { enabled: false }
+  };
+
+  try {
+    process.chdir(checkouts[0]);
+    const shard = new JiraReporter(options);
+    shard.shardResults.begin({ current: 1, total: 2 });
+    const file = path.join(checkouts[0], 'tests', 'shop.spec.ts');
+    const failure = {
+      testId: 'VAL-001',
+      status: 'failed',
+      file,
+      line: 3,
+      errorLocation: { file, line: 4, column: 14 },
+      attachments: [
+        { name: 'screenshot', contentType: 'image/png', path: path.join(checkouts[0], 'test-results', 'shot.png') },
+        { name: 'stdout', contentType: 'text/plain', body: Buffer.from('log') }
+      ]
+    };
+    shard.testResults = [failure];
+    shard.failedTests = [failure];
+    await shard.finishShard({ status: 'failed' });
+
+    const written = shard.shardResults.load('run-1').shards[0];
+    assert.deepStrictEqual(written.options.xray, { post: true, testPlanKey: 'VAL-90' });
+    assert.deepStrictEqual(written.options.zephyr, {});
+    assert.strictEqual(written.failedTests[0].errorLocation.file, path.join('tests', 'shop.spec.ts'));
+
+    process.chdir(checkouts[1]);
+    // The merge job of the other machine, as scripts/merge-shards.js starts it (the second shard never ran)
+    const merge = new JiraReporter({ ...written.options, shards: { ...written.options.shards, dir: options.shards.dir, runId: 'run-1' } });
+    mock.method(merge, 'finishRun', async () => {});
+    await merge.finishMergedRun('run-1');
+
+    const merged = merge.failedTests[0];
+    assert.strictEqual(merged.file, path.join(checkouts[1], 'tests', 'shop.spec.ts'));
+    assert.strictEqual(merged.errorLocation.file, merged.file);
+    assert.deepStrictEqual(merged.attachments.map(a => a.path), [path.join(checkouts[1], 'test-results', 'shot.png')]);
+    assert.strictEqual(merge.testResults[0].file, merged.file);
+  } finally {
+    process.chdir(cwd);
+  }
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SpecTransformer = require('../reporters/spec-transformer');
+
+const FILE = '/project/tests/shop.spec.ts';
+
+function spec(...bodyLines) {
+  return [
+    "import { test, expect } from '@playwright/test';",
+    '',
+    "test('VAL-001: checkout', async ({ page }) => {",
+    ...bodyLines.map(line => `  ${line}`),
+    '});',
+    ''
+  ].join('\n');
+}
+
+// Lines of the test body start at 4
+function transform(content, strategy, errorLine) {
+  const failure = { line: 3, error: 'Error', errorLocation: errorLine ? { file: FILE, line: errorLine } : undefined };
+  return new SpecTransformer().transform(content, FILE, strategy, failure);
+}
+
+test('element fix waits on the locator chain the action is called on', () => {
+  const { content, changes } = transform(spec("await page.getByRole('button', { name: 'Pay' }).first().click();"), 'element_missing', 4);
+
+  assert.match(content, /await page\.getByRole\('button', \{ name: 'Pay' \}\)\.first\(\)\.waitFor\(\{ state: 'visible' \}\);\n {2}await page\.getByRole/);
+  assert.strictEqual(changes.length, 1);
+});
+
+test('element fix turns page.<action>(selector) into a wait on page.locator(selector)', () => {
+  const { content } = transform(spec("await page.click('#pay');"), 'element_missing', 4);
+
+  assert.match(content, /await page\.locator\('#pay'\)\.waitFor\(\{ state: 'visible' \}\);\n {2}await page\.click\('#pay'\);/);
+  assert.doesNotMatch(content, /page\.waitFor\(/);
+});
+
+test('element fix leaves keyboard actions and locator variables alone', () => {
+  const source = spec("const pay = page.locator('#pay');", "await page.keyboard.press('Enter');", 'await pay.click();');
+
+  assert.deepStrictEqual(transform(source, 'element_missing', 5).changes, []);
+  assert.deepStrictEqual(transform(source, 'element_missing', 6).changes, []);
+});
+
+test('element fix inserts the wait inside the block holding the action', () => {
+  const source = spec(
+    'if (await page.isVisible(\'#promo\')) {',
+    "  const code = 'SAVE10';",
+    "  await page.getByLabel('Code').fill(code);",
+    '}'
+  );
+  const { content } = transform(source, 'element_missing', 6);
+
+  assert.match(content, /const code = 'SAVE10';\n {4}await page\.getByLabel\('Code'\)\.waitFor\(\{ state: 'visible' \}\);\n {4}await page\.getByLabel\('Code'\)\.fill\(code\);/);
+});
+
+test('element fix skips an action that is the whole body of a braceless if', () => {
+  const source = spec("if (process.env.PROMO) await page.getByLabel('Code').fill('SAVE10');");
+
+  assert.deepStrictEqual(transform(source, 'element_missing', 4).changes, []);
+});
+
+test('navigation fix changes only the goto on the error line', () => {
+  const source = spec("await page.goto('/');", "await page.goto('/checkout');");
+  const { content, changes } = transform(source, 'navigation', 5);
+
+  assert.match(content, /await page\.goto\('\/'\);/);
+  assert.match(content, /await page\.goto\('\/checkout', \{ waitUntil: 'load', timeout: 60000 \}\);/);
+  assert.strictEqual(changes.length, 1);
+});
+
+test('navigation fix falls back to the first goto without an error line', () => {
+  const source = spec("await page.goto('/');", "await page.goto('/checkout');");
+  const { content } = transform(source, 'navigation');
+
+  assert.match(content, /await page\.goto\('\/', \{ waitUntil: 'load', timeout: 60000 \}\);/);
+  assert.match(content, /await page\.goto\('\/checkout'\);/);
+});
@@ -0,0 +1,94 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeJira = require('./helpers/fake-jira');
+const JiraClient = require('../scripts/jira-client');
+const StatusTransitioner = require('../reporters/status-transitioner');
+
+const STATUSES = { 'To Do': '1', Passing: '2', Verified: '3' };
+const BUG = { id: '10004', name: 'Bug' };
+
+let jira;
+let restoreEnv;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv();
+  // Stories pass into Passing; bugs have their own workflow where 'Passing' leads to Verified
+  jira.on('GET', /\/transitions$/, request => {
+    const issue = jira.issues.get(request.path.split('/')[5]);
+    const to = issue.fields.issuetype.id === BUG.id ? 'Verified' : 'Passing';
+    return { data: { transitions: [{ id: `to-${to}`, name: 'Passing', to: { id: STATUSES[to], name: to } }] } };
+  });
+  jira.on('POST', /\/transitions$/, request => {
+    const issue = jira.issues.get(request.path.split('/')[5]);
+    const name = request.body.transition.id.replace('to-', '');
+    issue.fields.status = { id: STATUSES[name], name };
+    return { status: 204 };
+  });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Finds issues by summary, counting the lookups in flight
+function transitioner(options = {}) {
+  const lookup = { inFlight: 0, maxInFlight: 0 };
+  lookup.findIssue = async testId => {
+    lookup.inFlight++;
+    lookup.maxInFlight = Math.max(lookup.maxInFlight, lookup.inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    lookup.inFlight--;
+    return [...jira.issues.values()].find(issue => issue.fields.summary === testId) || null;
+  };
+  return { lookup, transitioner: new StatusTransitioner(new JiraClient().config, lookup, { map: { passed: 'Passing' }, ...options }) };
+}
+
+const passed = testId => ({ testId, status: 'passed', outcome: 'expected', startTime: new Date().toISOString() });
+
+test('transitions at most `concurrency` Test IDs at once', async () => {
+  const testIds = Array.from({ length: 8 }, (_, i) => `VAL-${i + 1}`);
+  testIds.forEach(summary => jira.addIssue({ summary }));
+  const { lookup, transitioner: statuses } = transitioner({ concurrency: 3 });
+
+  const applied = await statuses.applyAll(testIds.map(passed));
+
+  assert.strictEqual(applied.length, 8);
+  assert.strictEqual(lookup.maxInFlight, 3);
+  assert.ok([...jira.issues.values()].every(issue => issue.fields.status.name === 'Passing'));
+});
+
+test('issues of another type in the same status look up their own transition', async () => {
+  const story = jira.addIssue({ summary: 'VAL-1' });
+  const bug = jira.addIssue({ summary: 'VAL-2', issuetype: BUG });
+  const { transitioner: statuses } = transitioner({ concurrency: 1 });
+
+  const applied = await statuses.applyAll([passed('VAL-1'), passed('VAL-2')]);
+
+  assert.deepStrictEqual(applied.map(a => a.status), ['Passing', 'Verified']);
+  assert.strictEqual(story.fields.status.name, 'Passing');
+  assert.strictEqual(bug.fields.status.name, 'Verified');
+  assert.strictEqual(jira.requestsTo('GET', /\/transitions$/).length, 2);
+});
+
+test('issues of one type in the same status share the transition lookup', async () => {
+  jira.addIssue({ summary: 'VAL-1' });
+  jira.addIssue({ summary: 'VAL-2' });
+  const { transitioner: statuses } = transitioner({ concurrency: 1 });
+
+  await statuses.applyAll([passed('VAL-1'), passed('VAL-2')]);
+
+  assert.strictEqual(jira.requestsTo('GET', /\/transitions$/).length, 1);
+  assert.strictEqual(jira.requestsTo('POST', /\/transitions$/).length, 2);
+});
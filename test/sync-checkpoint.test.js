@@ -0,0 +1,144 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const { mapWithConcurrency } = require('../scripts/concurrency');
+const SyncCheckpoint = require('../scripts/sync-checkpoint');
+const TraceabilityMatrixSync = require('../scripts/sync-traceability-to-jira');
+const { TEST_CASE_PROPERTY } = require('../scripts/test-case-lookup');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({ DRY_RUN: 'false', UPDATE_EXISTING: 'true' });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  jira.routes.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-checkpoint-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeCsv(rows) {
+  const file = path.join(dir, 'matrix.csv');
+  fs.writeFileSync(file, ['Test ID,Test Name,Priority', ...rows].join('\n'), 'utf8');
+  return file;
+}
+
+const checkpointFile = () => path.join(dir, 'checkpoint.json');
+
+function newSync() {
+  return new TraceabilityMatrixSync({ checkpoint: checkpointFile(), concurrency: 3 });
+}
+
+const rows = count => Array.from({ length: count }, (_, i) => `VAL-${String(i + 1).padStart(3, '0')},Test ${i + 1},Medium`);
+
+test('work runs with at most `limit` items in flight and results keep their order', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, i) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    inFlight--;
+    return i;
+  });
+
+  assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(await mapWithConcurrency([], 5, async () => 1), []);
+});
+
+test('new issues are created in bulk, at most 50 per call', async () => {
+  await newSync().syncTraceabilityMatrix(writeCsv(rows(60)));
+
+  assert.deepStrictEqual(jira.requestsTo('POST', '/rest/api/3/issue/bulk').map(r => r.body.issueUpdates.length), [50, 10]);
+  assert.strictEqual(jira.requestsTo('POST', '/rest/api/3/issue').length, 0);
+  assert.strictEqual(jira.issues.size, 60);
+  [...jira.issues.values()].forEach(issue => assert.strictEqual(issue.properties[TEST_CASE_PROPERTY].testId, issue.fields.summary.split(':')[0]));
+  assert.ok(!fs.existsSync(checkpointFile()));
+});
+
+test('rows Jira rejects are kept in the checkpoint and the next run syncs only them', async () => {
+  // The first bulk create rejects VAL-002
+  let rejected = false;
+  jira.on('POST', /^\/rest\/api\/3\/issue\/bulk$/, request => {
+    if (rejected) return undefined;
+    rejected = true;
+    const updates = request.body.issueUpdates;
+    const issues = updates.filter((update, i) => i !== 1).map(update => jira.addIssue(update.fields));
+    return {
+      status: 201,
+      data: {
+        issues: issues.map(i => ({ id: i.id, key: i.key })),
+        errors: [{ failedElementNumber: 1, status: 400, elementErrors: { errors: { priority: 'Priority name is invalid' } } }]
+      }
+    };
+  });
+  const csvFile = writeCsv(rows(3));
+
+  await newSync().syncTraceabilityMatrix(csvFile);
+  assert.strictEqual(jira.issues.size, 2);
+  assert.match(console.error.mock.calls[0].arguments.join(' '), /VAL-002: priority: Priority name is invalid/);
+  const { done } = JSON.parse(fs.readFileSync(checkpointFile(), 'utf8'));
+  assert.deepStrictEqual(Object.keys(done).sort(), ['VAL-001', 'VAL-003']);
+
+  jira.requests.length = 0;
+  await newSync().syncTraceabilityMatrix(csvFile);
+
+  assert.strictEqual(jira.issues.size, 3);
+  assert.deepStrictEqual(jira.requestsTo('POST', '/rest/api/3/issue/bulk').map(r => r.body.issueUpdates.map(u => u.fields.summary)), [['VAL-002: Test 2']]);
+  assert.strictEqual(jira.requestsTo('GET', '/rest/api/3/search/jql').length, 1);
+  assert.ok(!fs.existsSync(checkpointFile()));
+});
+
+test('an issue created just before a crash is finished instead of created again', async () => {
+  const csvFile = writeCsv(rows(2));
+  // The previous run created VAL-001 but stopped before its property and links
+  const created = jira.addIssue({ summary: 'VAL-001: Test 1' });
+  new SyncCheckpoint(checkpointFile(), csvFile).record('VAL-001', 'created', created.key, false);
+
+  await newSync().syncTraceabilityMatrix(csvFile);
+
+  assert.strictEqual(jira.issues.size, 2);
+  assert.deepStrictEqual(created.properties[TEST_CASE_PROPERTY], { testId: 'VAL-001' });
+  assert.strictEqual(jira.requestsTo('PUT', `/rest/api/3/issue/${created.key}`).length, 1);
+  assert.deepStrictEqual(jira.requestsTo('POST', '/rest/api/3/issue/bulk').map(r => r.body.issueUpdates.length), [1]);
+});
+
+test('a checkpoint of another version of the CSV is ignored', () => {
+  const csvFile = writeCsv(rows(2));
+  new SyncCheckpoint(checkpointFile(), csvFile).record('VAL-001', 'created', 'VAL-1');
+
+  assert.strictEqual(new SyncCheckpoint(checkpointFile(), csvFile).isComplete('VAL-001'), true);
+  writeCsv(rows(3));
+  assert.deepStrictEqual(new SyncCheckpoint(checkpointFile(), csvFile).done, {});
+  assert.match(console.log.mock.calls.at(-1).arguments[0], /belongs to a different version of the CSV/);
+});
+
+test('a Test ID on several rows is synced once, from its last row', async () => {
+  await newSync().syncTraceabilityMatrix(writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low', 'VAL-001,Login with SSO,High']));
+
+  assert.deepStrictEqual([...jira.issues.values()].map(i => i.fields.summary).sort(), ['VAL-001: Login with SSO', 'VAL-002: Logout']);
+  assert.match(console.warn.mock.calls[0].arguments[0], /VAL-001 appears more than once/);
+});
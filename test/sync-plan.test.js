@@ -0,0 +1,85 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const TraceabilityMatrixSync = require('../scripts/sync-traceability-to-jira');
+const SyncPlanner = require('../scripts/sync-plan');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({ DRY_RUN: 'false', UPDATE_EXISTING: 'true' });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-plan-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// One synced issue for VAL-001, then a plan renaming it
+async function planRename() {
+  const csvFile = path.join(dir, 'matrix.csv');
+  fs.writeFileSync(csvFile, 'Test ID,Test Name,Priority\nVAL-001,Login,High\n', 'utf8');
+  const sync = new TraceabilityMatrixSync({ checkpoint: path.join(dir, 'checkpoint.json') });
+  await sync.syncTraceabilityMatrix(csvFile);
+
+  fs.writeFileSync(csvFile, 'Test ID,Test Name,Priority\nVAL-001,Login with SSO,High\n', 'utf8');
+  const planner = new SyncPlanner(new TraceabilityMatrixSync());
+  const plan = await planner.plan(csvFile, path.join(dir, 'sync-plan.json'));
+  assert.strictEqual(plan.operations[0].action, 'update');
+  return { planner: new SyncPlanner(new TraceabilityMatrixSync()), plan, issue: [...jira.issues.values()][0] };
+}
+
+test('apply still updates an issue that only got comments since the plan', async () => {
+  const { planner, plan, issue } = await planRename();
+  // What the reporter does on every test run
+  issue.comments.push({ body: 'Test passed' });
+  issue.fields.updated = new Date(Date.now() + 60000).toISOString();
+
+  const results = await planner.apply(SyncPlanner.load(path.join(dir, 'sync-plan.json')));
+
+  assert.strictEqual(results.updated.length, 1);
+  assert.strictEqual(issue.fields.summary, 'VAL-001: Login with SSO');
+  assert.strictEqual(plan.operations[0].key, issue.key);
+});
+
+test('apply skips an update when a field it overwrites was edited since the plan', async () => {
+  const { planner, issue } = await planRename();
+  issue.fields.priority = { name: 'Low' };
+
+  const results = await planner.apply(SyncPlanner.load(path.join(dir, 'sync-plan.json')));
+
+  assert.strictEqual(results.updated.length, 0);
+  assert.deepStrictEqual(results.skipped.map(s => s.key), [issue.key]);
+  assert.strictEqual(issue.fields.summary, 'VAL-001: Login');
+});
+
+test('apply skips an update when a description section was edited since the plan', async () => {
+  const { planner, issue } = await planRename();
+  issue.fields.description = {
+    ...issue.fields.description,
+    content: [...issue.fields.description.content, { type: 'paragraph', content: [{ type: 'text', text: 'Note added by hand' }] }]
+  };
+
+  const results = await planner.apply(SyncPlanner.load(path.join(dir, 'sync-plan.json')));
+
+  assert.strictEqual(results.updated.length, 0);
+  assert.strictEqual(results.skipped.length, 1);
+});
@@ -0,0 +1,152 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const TraceabilityMatrixSync = require('../scripts/sync-traceability-to-jira');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira().start();
+  restoreEnv = jira.useEnv({ DRY_RUN: 'false', UPDATE_EXISTING: 'true' });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  jira.routes.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-reconcile-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeCsv(rows) {
+  const file = path.join(dir, 'matrix.csv');
+  fs.writeFileSync(file, ['Test ID,Test Name,Priority', ...rows].join('\n') + '\n', 'utf8');
+  return file;
+}
+
+const newSync = () => new TraceabilityMatrixSync({ checkpoint: path.join(dir, 'checkpoint.json') });
+const issueFor = summary => [...jira.issues.values()].find(issue => issue.fields.summary === summary);
+
+// Synced VAL-001, VAL-002 and VAL-004, a legacy duplicate of VAL-001 and an issue the sync never managed;
+// the CSV then drops VAL-004 and adds VAL-003
+async function seed() {
+  await newSync().syncTraceabilityMatrix(writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low', 'VAL-004,Profile,Medium']));
+  jira.addIssue({ summary: 'VAL-001: Login (copy)', labels: ['VAL-001'] });
+  jira.addIssue({ summary: 'VAL-009: Written by hand' });
+  jira.requests.length = 0;
+  return writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low', 'VAL-003,Search,Medium']);
+}
+
+test('orphans, duplicates and rows never synced are reported without writing', async () => {
+  const csvFile = await seed();
+
+  const report = await newSync().reconcile(csvFile);
+
+  assert.deepStrictEqual(report.orphans.map(o => [o.testId, o.summary, o.reason]), [
+    ['VAL-001', 'VAL-001: Login (copy)', `duplicate of ${issueFor('VAL-001: Login').key}`],
+    ['VAL-004', 'VAL-004: Profile', 'no CSV row']
+  ]);
+  assert.deepStrictEqual(report.missing, [{ testId: 'VAL-003', testName: 'Search' }]);
+  assert.deepStrictEqual(report.drift, []);
+  assert.deepStrictEqual(jira.requests.filter(r => r.method !== 'GET'), []);
+});
+
+test('orphans are labelled once, or archived with the keys Jira refuses reported', async () => {
+  const csvFile = await seed();
+  const copy = issueFor('VAL-001: Login (copy)');
+  const profile = issueFor('VAL-004: Profile');
+
+  await newSync().reconcile(csvFile, { orphans: 'label', orphanLabel: 'gone' });
+  assert.ok(copy.fields.labels.includes('gone'));
+  assert.ok(profile.fields.labels.includes('gone'));
+  const report = await newSync().reconcile(csvFile, { orphans: 'label', orphanLabel: 'gone' });
+  assert.ok(report.orphans.every(o => o.labelled));
+  assert.strictEqual(jira.requestsTo('PUT', /^\/rest\/api\/3\/issue\/[^/]+$/).length, 2);
+
+  jira.on('PUT', /^\/rest\/api\/3\/issue\/archive$/, () => ({
+    data: { errors: { issueIsSubtask: { issueIdsOrKeys: [profile.key], message: 'Subtasks cannot be archived' } } }
+  }));
+  const archived = await newSync().reconcile(csvFile, { orphans: 'archive' });
+  assert.deepStrictEqual(jira.requestsTo('PUT', '/rest/api/3/issue/archive').map(r => r.body.issueIdsOrKeys), [[copy.key, profile.key]]);
+  assert.deepStrictEqual(archived.errors, [{ testId: 'VAL-004', error: `archive ${profile.key}: Subtasks cannot be archived` }]);
+});
+
+test('drift is reported field by field and overwritten from the CSV', async () => {
+  const csvFile = await seed();
+  const logout = issueFor('VAL-002: Logout');
+  logout.fields.summary = 'VAL-002: Sign out';
+  logout.fields.priority = { name: 'Highest' };
+
+  const report = await newSync().reconcile(csvFile);
+  assert.deepStrictEqual(report.drift.map(d => [d.testId, d.key]), [['VAL-002', logout.key]]);
+  assert.deepStrictEqual(report.drift[0].changes.map(c => [c.field, c.from, c.to]), [
+    ['summary', 'VAL-002: Sign out', 'VAL-002: Logout'],
+    ['priority', 'Highest', 'Low']
+  ]);
+
+  await newSync().reconcile(csvFile, { drift: 'overwrite' });
+  assert.strictEqual(logout.fields.summary, 'VAL-002: Logout');
+  assert.deepStrictEqual(logout.fields.priority, { name: 'Low' });
+  assert.deepStrictEqual((await newSync().reconcile(csvFile)).drift, []);
+});
+
+test('accepted drift is written back into the CSV cells it maps from', async () => {
+  const csvFile = await seed();
+  const logout = issueFor('VAL-002: Logout');
+  logout.fields.summary = 'VAL-002: Sign out, everywhere';
+  logout.fields.priority = { name: 'Highest' };
+
+  const report = await newSync().reconcile(csvFile, { drift: 'accept' });
+
+  assert.deepStrictEqual(report.errors, []);
+  assert.strictEqual(fs.readFileSync(csvFile, 'utf8'), [
+    'Test ID,Test Name,Priority',
+    'VAL-001,Login,High',
+    'VAL-002,"Sign out, everywhere",Critical',
+    'VAL-003,Search,Medium',
+    ''
+  ].join('\n'));
+  // Only the label of the new priority is left for the next sync to add
+  const [left] = (await newSync().reconcile(csvFile)).drift;
+  assert.deepStrictEqual(left.changes.map(c => c.field), ['labels']);
+});
+
+test('a dry run only says what it would change', async () => {
+  const csvFile = await seed();
+  issueFor('VAL-002: Logout').fields.summary = 'VAL-002: Sign out';
+  const restore = jira.useEnv({ DRY_RUN: 'true' });
+  try {
+    await newSync().reconcile(csvFile, { orphans: 'archive', drift: 'accept' });
+  } finally {
+    restore();
+  }
+
+  const lines = console.log.mock.calls.map(c => c.arguments[0]);
+  assert.ok(lines.includes(`[DRY RUN] Would archive orphan ${issueFor('VAL-004: Profile').key}`));
+  assert.ok(lines.some(line => /\[DRY RUN\] Would write 1 accepted Jira values/.test(line)));
+  assert.match(fs.readFileSync(csvFile, 'utf8'), /VAL-002,Logout,Low/);
+  assert.deepStrictEqual(jira.requests.filter(r => r.method !== 'GET'), []);
+});
+
+test('unknown actions are refused before Jira is asked anything', async () => {
+  await assert.rejects(newSync().reconcile('matrix.csv', { orphans: 'delete' }), /Unknown orphan action 'delete'/);
+  await assert.rejects(newSync().reconcile('matrix.csv', { drift: 'merge' }), /Unknown drift action 'merge'/);
+  assert.deepStrictEqual(jira.requests, []);
+});
@@ -0,0 +1,82 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeJira = require('./helpers/fake-jira');
+const TraceabilityMatrixSync = require('../scripts/sync-traceability-to-jira');
+const { TEST_CASE_PROPERTY } = require('../scripts/test-case-lookup');
+
+let jira;
+let restoreEnv;
+let dir;
+
+before(async () => {
+  jira = await new FakeJira({ pageSize: 2 }).start();
+  restoreEnv = jira.useEnv({ DRY_RUN: 'false', UPDATE_EXISTING: 'true' });
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+beforeEach(() => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeCsv(rows) {
+  const file = path.join(dir, 'matrix.csv');
+  fs.writeFileSync(file, ['Test ID,Test Name,Priority', ...rows].join('\n'), 'utf8');
+  return file;
+}
+
+function newSync() {
+  return new TraceabilityMatrixSync({ checkpoint: path.join(dir, 'checkpoint.json'), concurrency: 2 });
+}
+
+test('a second sync updates the issues of the first instead of creating new ones', async () => {
+  const csvFile = writeCsv(['VAL-001,Login,High', 'VAL-002,Logout,Low', 'VAL-003,Checkout,Medium']);
+
+  await newSync().syncTraceabilityMatrix(csvFile);
+  assert.strictEqual(jira.issues.size, 3);
+  assert.strictEqual(jira.requestsTo('POST', '/rest/api/3/issue/bulk').length, 1);
+  const created = [...jira.issues.values()];
+  created.forEach(issue => assert.ok(issue.properties[TEST_CASE_PROPERTY]?.testId));
+
+  fs.writeFileSync(csvFile, ['Test ID,Test Name,Priority', 'VAL-001,Login with SSO,High', 'VAL-002,Logout,Low', 'VAL-003,Checkout,Medium'].join('\n'));
+  jira.requests.length = 0;
+  await newSync().syncTraceabilityMatrix(csvFile);
+
+  assert.strictEqual(jira.issues.size, 3);
+  assert.strictEqual(jira.requestsTo('POST', /^\/rest\/api\/3\/issue(\/bulk)?$/).length, 0);
+  const updates = jira.requestsTo('PUT', /^\/rest\/api\/3\/issue\/VAL-\d+$/);
+  assert.deepStrictEqual(updates.map(u => u.path).sort(), created.map(i => `/rest/api/3/issue/${i.key}`).sort());
+  const login = created.find(i => i.properties[TEST_CASE_PROPERTY].testId === 'VAL-001');
+  assert.strictEqual(jira.issues.get(login.key).fields.summary, 'VAL-001: Login with SSO');
+});
+
+test('issues created by hand are matched by their Test ID label and get the property', async () => {
+  const manual = jira.addIssue({ summary: 'Login (written by hand)', labels: ['VAL-001'] });
+  // Other search hits come first, so the match is on a later page
+  jira.addIssue({ summary: 'Notes about VAL-001 and VAL-002', labels: [] });
+  jira.addIssue({ summary: 'More about VAL-001', labels: [] });
+  jira.issues.delete(manual.key);
+  jira.issues.set(manual.key, manual);
+
+  await newSync().syncTraceabilityMatrix(writeCsv(['VAL-001,Login,High']));
+
+  assert.strictEqual(jira.requestsTo('POST', /^\/rest\/api\/3\/issue(\/bulk)?$/).length, 0);
+  assert.deepStrictEqual(manual.properties[TEST_CASE_PROPERTY], { testId: 'VAL-001' });
+  assert.strictEqual(manual.fields.summary, 'VAL-001: Login');
+  assert.ok(jira.requestsTo('GET', '/rest/api/3/search/jql').some(s => s.query.nextPageToken === '2'));
+});
@@ -0,0 +1,90 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const FakeJira = require('./helpers/fake-jira');
+const JiraClient = require('../scripts/jira-client');
+const JiraReporter = require('../reporters/jira-reporter');
+const TestCaseLookup = require('../scripts/test-case-lookup');
+
+const { TEST_CASE_PROPERTY } = TestCaseLookup;
+
+let jira;
+let restoreEnv;
+
+before(async () => {
+  jira = await new FakeJira({ pageSize: 1 }).start();
+  restoreEnv = jira.useEnv();
+});
+
+after(async () => {
+  restoreEnv();
+  await jira.stop();
+});
+
+function lookup() {
+  return new TestCaseLookup(new JiraClient().config, 'VAL');
+}
+
+test('reads every search/jql page through nextPageToken, then picks the match', async () => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  // Summary search is full-text: earlier pages hold issues that only mention the ID
+  jira.addIssue({ summary: 'VAL-101 follow-up: unrelated', labels: [] });
+  jira.addIssue({ summary: 'Cleanup after VAL-101', labels: [] });
+  const target = jira.addIssue({ summary: 'Checkout total (VAL-101)', labels: [] }, { [TEST_CASE_PROPERTY]: { testId: 'VAL-101' } });
+
+  const issue = await lookup().findIssue('VAL-101');
+
+  assert.strictEqual(issue.key, target.key);
+  const searches = jira.requestsTo('GET', '/rest/api/3/search/jql');
+  // The match is on the last page; searchAll stops only when Jira reports isLast
+  assert.deepStrictEqual(searches.map(s => s.query.nextPageToken), [undefined, '1', '2']);
+  assert.ok(searches.every(s => s.query.properties === TEST_CASE_PROPERTY));
+});
+
+test('matches on the Test ID label', async () => {
+  jira.issues.clear();
+  jira.addIssue({ summary: 'Mentions VAL-102 only', labels: [] });
+  const labelled = jira.addIssue({ summary: 'Renamed by hand', labels: ['VAL-102'] });
+
+  const issue = await lookup().findIssue('VAL-102');
+
+  assert.strictEqual(issue.key, labelled.key);
+});
+
+test('prefers the playwright.testCase property over label and summary', async () => {
+  jira.issues.clear();
+  jira.addIssue({ summary: 'VAL-103: Old copy', labels: ['VAL-103'] });
+  const owner = jira.addIssue({ summary: 'VAL-103: Login', labels: ['VAL-103'] }, { [TEST_CASE_PROPERTY]: { testId: 'VAL-103' } });
+
+  const issue = await lookup().findIssue('VAL-103');
+
+  assert.strictEqual(issue.key, owner.key);
+});
+
+test('returns null when no result really belongs to the Test ID', async () => {
+  jira.issues.clear();
+  jira.addIssue({ summary: 'Regression of VAL-104 in checkout', labels: [] });
+
+  assert.strictEqual(await lookup().findIssue('VAL-104'), null);
+});
+
+test('the first result of a test case found by summary links it through the property', async () => {
+  jira.issues.clear();
+  jira.requests.length = 0;
+  const testCase = jira.addIssue({ summary: 'VAL-105: Login', labels: [] });
+  mock.method(console, 'log', () => {});
+  const reporter = new JiraReporter({ history: { enabled: false } });
+  const result = { testId: 'VAL-105', project: 'chromium', status: 'passed', outcome: 'expected', duration: 1200, attempts: 1 };
+
+  await reporter.syncTestToJira(result);
+  await reporter.syncTestToJira({ ...result, project: 'firefox' });
+  mock.restoreAll();
+
+  assert.deepStrictEqual(testCase.properties[TEST_CASE_PROPERTY], { testId: 'VAL-105' });
+  assert.strictEqual(jira.requestsTo('PUT', `/rest/api/3/issue/${testCase.key}/properties/${TEST_CASE_PROPERTY}`).length, 1);
+  assert.strictEqual(testCase.comments.length, 2);
+
+  // A label outranks a summary, but a labelled copy made later does not take over the results
+  jira.addIssue({ summary: 'Login (copy)', labels: ['VAL-105'] });
+  assert.strictEqual((await lookup().findIssue('VAL-105')).key, testCase.key);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TestIdExtractor = require('../reporters/test-id-extractor');
+
+// The parts of a Playwright TestCase the extractor reads
+function testCase({ title = 'checkout', tags = [], annotations = [], describes = [] } = {}) {
+  let parent = { type: 'file', title: 'shop.spec.ts' };
+  describes.forEach(describeTitle => { parent = { type: 'describe', title: describeTitle, parent }; });
+  return { title, tags, annotations, parent };
+}
+
+test('titles give every ID before the colon', () => {
+  const extractor = new TestIdExtractor();
+
+  assert.deepStrictEqual(extractor.extract(testCase({ title: 'VAL-001: Login' })), ['VAL-001']);
+  assert.deepStrictEqual(extractor.extract(testCase({ title: 'VAL-1, VAL-2: Checkout' })), ['VAL-1', 'VAL-2']);
+  assert.deepStrictEqual(extractor.extract(testCase({ title: 'VAL-3 VAL-4: Refund of VAL-9' })), ['VAL-3', 'VAL-4']);
+  assert.deepStrictEqual(extractor.extract(testCase({ title: 'Regression for VAL-5' })), []);
+});
+
+test('annotations of the configured type can list several IDs', () => {
+  const extractor = new TestIdExtractor();
+  const annotations = [
+    { type: 'jira', description: 'VAL-10, VAL-11' },
+    { type: 'issue', description: 'VAL-99' },
+    { type: 'jira' }
+  ];
+
+  assert.deepStrictEqual(extractor.extract(testCase({ annotations })), ['VAL-10', 'VAL-11']);
+});
+
+test('tags count only when the whole tag is an ID', () => {
+  const extractor = new TestIdExtractor();
+
+  assert.deepStrictEqual(extractor.extract(testCase({ tags: ['@VAL-12', '@smoke', '@VAL-13-flaky'] })), ['VAL-12']);
+});
+
+test('describe titles are read outermost first when enabled', () => {
+  const extractor = new TestIdExtractor({ sources: ['describe', 'title'] });
+  const test = testCase({ title: 'VAL-22: pays', describes: ['VAL-20: Checkout', 'VAL-21, VAL-20: Cards'] });
+
+  assert.deepStrictEqual(extractor.extract(test), ['VAL-20', 'VAL-21', 'VAL-22']);
+  assert.deepStrictEqual(new TestIdExtractor().extract(test), ['VAL-22']);
+});
+
+test('sources are combined in order without duplicates', () => {
+  const extractor = new TestIdExtractor();
+  const test = testCase({ title: 'VAL-2, VAL-1: Checkout', tags: ['@VAL-1'], annotations: [{ type: 'jira', description: 'VAL-3' }] });
+
+  assert.deepStrictEqual(extractor.extract(test), ['VAL-3', 'VAL-1', 'VAL-2']);
+});
+
+test('custom idPattern and titlePattern', () => {
+  const extractor = new TestIdExtractor({ idPattern: '(?:VAL|SHOP)-\\d+', titlePattern: '\\[((?:VAL|SHOP)-\\d+)\\]' });
+
+  assert.deepStrictEqual(extractor.extract(testCase({ title: 'Checkout [SHOP-4] [VAL-5]', tags: ['@SHOP-6'] })), ['SHOP-6', 'SHOP-4', 'VAL-5']);
+  assert.throws(() => new TestIdExtractor({ sources: ['body'] }), /Unknown test ID sources: body/);
+});